@@ -0,0 +1,77 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * clean() benchmark
+ * Compares the spatial hash implementation of `PointGenerator.clean()` with
+ * the original pairwise implementation on random point clouds.
+ */
+
+import PointGenerator from '../src/point-generator';
+
+
+// The original implementation which compared every pair of points.
+function naiveClean(points, len, tolerance = 0) {
+  let minDist = Math.pow(len - tolerance, 2),
+    qdist = (p1, p2) => Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2);
+
+  let pairs = [];
+  points.forEach((p1, idx1) => points.forEach((p2, idx2) => {
+    if (idx1 !== idx2 && qdist(p1, p2) < minDist)
+      pairs.push({
+        p1: idx1,
+        p2: idx2
+      });
+  }));
+
+  pairs = pairs.reduce((p, c) => {
+    return (p.includes(c.p1) || p.includes(c.p2)) ? p : p.concat(c.p2);
+  }, []);
+
+  return points.filter((p, idx) => !pairs.includes(idx));
+}
+
+
+// Returns `n` random points spread so that roughly half of them are removed.
+function cloud(n, len) {
+  let size = Math.sqrt(n) * len * 0.8,
+    pts = [];
+  for (let i = 0; i < n; i++)
+    pts.push({
+      x: Math.random() * size,
+      y: Math.random() * size
+    });
+  return pts;
+}
+
+
+function time(fn) {
+  let start = Date.now(),
+    result = fn();
+  return {
+    ms: Date.now() - start,
+    result: result
+  };
+}
+
+
+const LEN = 10;
+let pgen = new PointGenerator(500, LEN);
+
+[500, 1000, 2000, 4000].forEach(n => {
+  let pts = cloud(n, LEN),
+    naive = time(() => naiveClean(pts, LEN)),
+    hashed = time(() => pgen.clean(pts));
+  let same = naive.result.length === hashed.result.length &&
+    naive.result.every((p, idx) => p === hashed.result[idx]);
+  console.log(`${n} points: pairwise ${naive.ms}ms, spatial hash ${hashed.ms}ms, identical: ${same}`);
+});
+
+[10000, 100000].forEach(n => {
+  let pts = cloud(n, LEN),
+    hashed = time(() => pgen.clean(pts));
+  console.log(`${n} points: spatial hash ${hashed.ms}ms, ${hashed.result.length} kept`);
+});
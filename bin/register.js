@@ -0,0 +1,23 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Compiles the library's ES modules on the fly when it is used from node.
+ */
+
+/* eslint-env node */
+
+var path = require('path');
+var root = path.resolve(__dirname, '..');
+
+require('babel-register')({
+  presets: ['es2015'],
+  // Only compile this package, even when it is installed in node_modules.
+  only: function(filename) {
+    return filename.indexOf(root) === 0 &&
+      filename.indexOf(path.join(root, 'node_modules')) !== 0;
+  }
+});
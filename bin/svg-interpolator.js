@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Command line entry point.
+ */
+
+/* eslint-env node */
+
+require('./register');
+
+process.exitCode = require('../src/cli').main(process.argv.slice(2));
@@ -5,4 +5,16 @@
  * 
  * Copyright (C) 2016 Tutive Ltd.
  */
-export {default as SVGInterpolator} from './src/point-generator';
\ No newline at end of file
+export {default as SVGInterpolator} from './src/point-generator';
+export {parsePath, toAbsolute} from './src/parser';
+export {parseDocument} from './src/document';
+export {morph, easings} from './src/morph';
+export {generateAsync} from './src/async';
+export {geometryOf, boundsOf} from './src/geometry';
+export {radial, edgeFalloff, densest} from './src/spacing';
+export {strokeOutline, offsetOutline, rings} from './src/offset';
+export {traceImage, inkSpacing} from './src/raster';
+export {combine, union, difference, intersection, xor} from './src/boolean';
+export {drawingOrder, travelLength} from './src/order';
+export {neighbourGraph, voronoiCells, cellCentroid} from './src/voronoi';
+export {SVGInterpolatorError, PathSyntaxError, MarkupError, CommandError, OptionError, EmptyShapeError, FormatError} from './src/errors';
@@ -0,0 +1,188 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Asynchronous generation
+ * Hands the pipeline to a Web Worker or node worker thread so that large
+ * drawings don't block the main thread.
+ */
+
+/* eslint-env node */
+
+import {
+  SVGInterpolatorError,
+  PathSyntaxError,
+  MarkupError,
+  CommandError,
+  OptionError,
+  EmptyShapeError,
+  FormatError
+} from './errors';
+
+
+// Returns the error a promise is rejected with when it is cancelled.
+function abortError() {
+  let e = new Error('Generation was aborted');
+  e.name = 'AbortError';
+  return e;
+}
+
+
+// Returns the error sent back by the worker in `msg` as the same class it was
+// thrown as, with its fields and the diagnostics reported before it.
+function errorFrom(msg) {
+  let e;
+  switch (msg.name) {
+    case 'PathSyntaxError':
+      e = new PathSyntaxError(msg.message, msg.position);
+      break;
+    case 'CommandError':
+      e = new CommandError(msg.message, msg.index, msg.command);
+      break;
+    case 'OptionError':
+      e = new OptionError(msg.message, msg.option);
+      break;
+    case 'MarkupError':
+      e = new MarkupError(msg.message);
+      break;
+    case 'EmptyShapeError':
+      e = new EmptyShapeError(msg.message);
+      break;
+    case 'FormatError':
+      e = new FormatError(msg.message);
+      break;
+    case 'SVGInterpolatorError':
+      e = new SVGInterpolatorError(msg.message);
+      break;
+    default:
+      e = new Error(msg.message);
+  }
+  e.diagnostics = msg.diagnostics || [];
+  return e;
+}
+
+
+// Starts a node worker thread running worker.js, compiling it on the fly as the
+// command line tool does.
+function nodeWorker() {
+  let threads = module.require('worker_threads'),
+    path = module.require('path'),
+    register = path.resolve(__dirname, '..', 'bin', 'register.js'),
+    script = path.resolve(__dirname, 'worker.js');
+
+  return new threads.Worker(`require(${JSON.stringify(register)}); require(${JSON.stringify(script)});`, {
+    eval: true
+  });
+}
+
+
+// Returns a worker for `options`: the one made by `options.createWorker` if
+// given, a Web Worker loading `options.workerUrl` in the browser, or a worker
+// thread in node.
+function createWorker(options) {
+  if (options.createWorker)
+    return options.createWorker();
+
+  if (typeof Worker !== 'undefined') {
+    if (!options.workerUrl)
+      throw new Error('workerUrl must point to the bundled worker script');
+    return new Worker(options.workerUrl);
+  }
+
+  if (typeof module !== 'undefined' && module.require)
+    return nodeWorker();
+
+  throw new Error('Workers are not supported here');
+}
+
+
+// Gives Web Workers and node worker threads the same interface.
+function listen(worker, onMessage, onError) {
+  if (typeof worker.on === 'function') {
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+  } else {
+    worker.onmessage = e => onMessage(e.data);
+    worker.onerror = e => onError(new Error(e.message));
+  }
+}
+
+
+// Runs the same pipeline as the command line tool on `source`, SVG markup,
+// path data or an image, in a worker and returns a promise of the result. The
+// result holds the points as typed arrays in the form returned by
+// `toBuffers()`: an interleaved `vertices` Float32Array with its `stride` and
+// `layout` and, if `options.edges` was given, the tessellation edges in
+// `indices`, and the `diagnostics` reported along the way. Errors reject the
+// promise as the same classes from errors.js the pipeline threw, with the
+// diagnostics reported before them.
+//
+// Besides the options of `runPipeline()` and `options.attributes` for the
+// vertex layout, by default position and role, these are understood:
+// - `onProgress(phase, fraction)`: called as the sampling, cleaning, filling,
+//   relaxing and tessellating phases progress.
+// - `signal`: an AbortSignal which stops the worker and rejects the promise
+//   with an AbortError.
+// - `workerUrl`: where the bundled worker script is served from in a browser.
+// - `createWorker()`: returns a worker to use instead.
+export function generateAsync(source, options = {}) {
+  return new Promise((resolve, reject) => {
+    let signal = options.signal;
+    if (signal && signal.aborted)
+      return reject(abortError());
+
+    // Functions and signals can't be sent to the worker.
+    let opts = {};
+    Object.keys(options)
+      .filter(key => ['onProgress', 'signal', 'workerUrl', 'createWorker'].indexOf(key) < 0)
+      .forEach(key => opts[key] = options[key]);
+
+    let worker = createWorker(options),
+      done = false;
+
+    let finish = (fn, value) => {
+      if (done)
+        return;
+      done = true;
+      if (signal)
+        signal.removeEventListener('abort', onAbort);
+      worker.terminate();
+      fn(value);
+    };
+
+    let onAbort = () => finish(reject, abortError());
+    if (signal)
+      signal.addEventListener('abort', onAbort);
+
+    listen(worker, msg => {
+      switch (msg.type) {
+        case 'progress':
+          if (options.onProgress && !done)
+            options.onProgress(msg.phase, msg.fraction);
+          break;
+
+        case 'result':
+          finish(resolve, {
+            vertices: msg.vertices,
+            stride: msg.stride,
+            layout: msg.layout,
+            indices: msg.indices,
+            diagnostics: msg.diagnostics
+          });
+          break;
+
+        case 'error':
+          finish(reject, errorFrom(msg));
+          break;
+      }
+    }, e => finish(reject, e));
+
+    worker.postMessage({
+      source: source,
+      options: opts
+    });
+  });
+}
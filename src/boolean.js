@@ -0,0 +1,422 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Boolean operations
+ * Combines two shapes into one by union, difference, intersection or xor.
+ * Both are followed in straight pieces, every edge is split where it meets
+ * the other shape, each piece is kept or dropped by whether it lies inside
+ * the other shape, and the pieces kept are joined back up into subpaths.
+ * Splitting an outline against itself in the same way untangles it where it
+ * crosses itself.
+ */
+
+import {
+  flattenPath,
+  polygonCommands
+} from './geometry';
+
+import {
+  contains
+} from './fill';
+
+import {
+  OptionError
+} from './errors';
+
+
+const OPERATIONS = ['union', 'difference', 'intersection', 'xor'];
+
+
+// Returns the distance from `p` to the line from `a` to `b` and how far along
+// it the nearest point is, from 0 to 1.
+function nearest(p, a, b) {
+  let dx = b.x - a.x,
+    dy = b.y - a.y,
+    len2 = dx * dx + dy * dy,
+    t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return {
+    dist: Math.sqrt(Math.pow(p.x - a.x - t * dx, 2) + Math.pow(p.y - a.y - t * dy, 2)),
+    t: t
+  };
+}
+
+
+// Returns the edges of the closed `polygons` as `{a, b, cuts}`, where `cuts`
+// collects the points it is to be split at.
+function edgesOf(polygons) {
+  let edges = [];
+  polygons.forEach(poly => poly.forEach((a, idx) => edges.push({
+    a: a,
+    b: poly[(idx + 1) % poly.length],
+    cuts: []
+  })));
+  return edges;
+}
+
+
+// Returns `polygons` each turned, if need be, so the inside of the shape they
+// make under the fill rule `rule` is on the right of every edge, as seen in
+// y-down coordinates. This is the way the boundary normals expect and lets
+// edges of the two shapes be compared by direction.
+function orient(polygons, rule, eps) {
+  return polygons.map(poly => {
+    let longest = 0,
+      len = idx => {
+        let a = poly[idx],
+          b = poly[(idx + 1) % poly.length];
+        return Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2);
+      };
+    poly.forEach((p, idx) => {
+      if (len(idx) > len(longest))
+        longest = idx;
+    });
+
+    // Look just to the right of the middle of the longest edge.
+    let a = poly[longest],
+      b = poly[(longest + 1) % poly.length],
+      l = Math.sqrt(len(longest)),
+      probe = {
+        x: (a.x + b.x) / 2 - (b.y - a.y) / l * eps * 1000,
+        y: (a.y + b.y) / 2 + (b.x - a.x) / l * eps * 1000
+      };
+    return contains(polygons, probe, rule) ? poly : poly.slice().reverse();
+  });
+}
+
+
+// Calls `fn(e, f)` for every pair of `edges` whose bounding boxes, grown by
+// `eps`, overlap. The edges are swept across in x, keeping those whose box
+// still reaches the sweep, so pairs far apart are never compared.
+function eachOverlap(edges, eps, fn) {
+  let boxes = edges.map(e => ({
+      edge: e,
+      x0: Math.min(e.a.x, e.b.x) - eps,
+      y0: Math.min(e.a.y, e.b.y) - eps,
+      x1: Math.max(e.a.x, e.b.x) + eps,
+      y1: Math.max(e.a.y, e.b.y) + eps
+    })).sort((p, q) => p.x0 - q.x0),
+    active = [];
+  boxes.forEach(box => {
+    active = active.filter(other => other.x1 >= box.x0);
+    active.forEach(other => {
+      if (other.y0 <= box.y1 && box.y0 <= other.y1)
+        fn(other.edge, box.edge);
+    });
+    active.push(box);
+  });
+}
+
+
+// Marks where the edges `e` and `f` cross or touch each other in their
+// `cuts`. Ends within `eps` of the other edge split it there and are reused
+// so the pieces of both meet at exactly the same points.
+function cutPair(e, f, eps) {
+  [e.a, e.b].forEach(p => {
+    let n = nearest(p, f.a, f.b);
+    if (n.dist < eps && n.t > 0 && n.t < 1)
+      f.cuts.push(p);
+  });
+  [f.a, f.b].forEach(p => {
+    let n = nearest(p, e.a, e.b);
+    if (n.dist < eps && n.t > 0 && n.t < 1)
+      e.cuts.push(p);
+  });
+
+  let dx = e.b.x - e.a.x,
+    dy = e.b.y - e.a.y,
+    fx = f.b.x - f.a.x,
+    fy = f.b.y - f.a.y,
+    denom = dx * fy - dy * fx;
+  if (Math.abs(denom) < 1e-12)
+    return;
+
+  let t = ((f.a.x - e.a.x) * fy - (f.a.y - e.a.y) * fx) / denom,
+    u = ((f.a.x - e.a.x) * dy - (f.a.y - e.a.y) * dx) / denom,
+    lenE = Math.sqrt(dx * dx + dy * dy),
+    lenF = Math.sqrt(fx * fx + fy * fy);
+  if (t * lenE > eps && (1 - t) * lenE > eps && u * lenF > eps && (1 - u) * lenF > eps) {
+    let p = {
+      x: e.a.x + t * dx,
+      y: e.a.y + t * dy
+    };
+    e.cuts.push(p);
+    f.cuts.push(p);
+  }
+}
+
+
+// Marks where the edges `first` and `second` cross or touch each other in
+// their `cuts`, as for `cutPair()`.
+function cutEdges(first, second, eps) {
+  let inFirst = new Set(first);
+  eachOverlap(first.concat(second), eps, (e, f) => {
+    if (inFirst.has(e) && !inFirst.has(f))
+      cutPair(e, f, eps);
+    else if (inFirst.has(f) && !inFirst.has(e))
+      cutPair(f, e, eps);
+  });
+}
+
+
+// Returns a function giving the winding number of the closed loops made by
+// `edges` around a point, as `windingNumber()` in fill.js does for polygons.
+// The edges are sorted into horizontal bands by the heights they span so only
+// those level with the point are looked at.
+function windingOf(edges) {
+  let y0 = Infinity,
+    y1 = -Infinity;
+  edges.forEach(e => {
+    y0 = Math.min(y0, e.a.y, e.b.y);
+    y1 = Math.max(y1, e.a.y, e.b.y);
+  });
+
+  let count = Math.max(1, edges.length),
+    height = (y1 - y0) / count || 1,
+    band = y => Math.max(0, Math.min(count - 1, Math.floor((y - y0) / height))),
+    bands = [];
+  for (let i = 0; i < count; i++)
+    bands.push([]);
+  edges.forEach(e => {
+    for (let i = band(Math.min(e.a.y, e.b.y)), last = band(Math.max(e.a.y, e.b.y)); i <= last; i++)
+      bands[i].push(e);
+  });
+
+  return p => {
+    if (!(p.y >= y0 && p.y <= y1))
+      return 0;
+    return bands[band(p.y)].reduce((wn, e) => {
+      let a = e.a,
+        b = e.b,
+        side = (b.x - a.x) * (p.y - a.y) - (p.x - a.x) * (b.y - a.y);
+      if (a.y <= p.y)
+        return b.y > p.y && side > 0 ? wn + 1 : wn;
+      return b.y <= p.y && side < 0 ? wn - 1 : wn;
+    }, 0);
+  };
+}
+
+
+// Returns the pieces of `edges` split at their cuts, as `{a, b}`.
+function piecesOf(edges) {
+  let pieces = [];
+  edges.forEach(e => {
+    let along = p => (p.x - e.a.x) * (e.b.x - e.a.x) + (p.y - e.a.y) * (e.b.y - e.a.y),
+      pts = [e.a].concat(e.cuts.slice().sort((p, q) => along(p) - along(q))).concat([e.b]);
+    for (let i = 1; i < pts.length; i++)
+      if (pts[i] !== pts[i - 1])
+        pieces.push({
+          a: pts[i - 1],
+          b: pts[i]
+        });
+  });
+  return pieces;
+}
+
+
+// Returns where the piece `piece` lies against the shape with the oriented
+// `edges` and `polygons`: 'inside', 'outside', or 'same' or 'opposite' if it
+// runs along one of its edges the same way or against it.
+function classify(piece, edges, polygons, rule, eps) {
+  let mid = {
+    x: (piece.a.x + piece.b.x) / 2,
+    y: (piece.a.y + piece.b.y) / 2
+  };
+  for (let i = 0; i < edges.length; i++) {
+    let e = edges[i];
+    if (nearest(mid, e.a, e.b).dist < eps) {
+      let dot = (piece.b.x - piece.a.x) * (e.b.x - e.a.x) + (piece.b.y - piece.a.y) * (e.b.y - e.a.y);
+      return dot > 0 ? 'same' : 'opposite';
+    }
+  }
+  return contains(polygons, mid, rule) ? 'inside' : 'outside';
+}
+
+
+// Returns, for the operation `op`, which way to keep a piece of the first
+// shape, or of the second if `second`, lying `where` against the other: 1 to
+// keep it, -1 to keep it turned around and 0 to drop it. Where the shapes
+// share an edge it is only kept from the first.
+function keep(op, second, where) {
+  switch (op) {
+    case 'union':
+      return where === 'outside' || (!second && where === 'same') ? 1 : 0;
+    case 'intersection':
+      return where === 'inside' || (!second && where === 'same') ? 1 : 0;
+    case 'difference':
+      if (second)
+        return where === 'inside' ? -1 : 0;
+      return where === 'outside' || where === 'opposite' ? 1 : 0;
+    case 'xor':
+      return where === 'outside' ? 1 : where === 'inside' ? -1 : 0;
+  }
+}
+
+
+// Returns the closed polygons made by joining up the directed `pieces` end to
+// start, with points on a straight line between their neighbours left out.
+function chain(pieces, eps) {
+  let key = p => `${p.x},${p.y}`,
+    from = new Map();
+  pieces.forEach(piece => {
+    let k = key(piece.a);
+    if (!from.has(k))
+      from.set(k, []);
+    from.get(k).push(piece);
+  });
+
+  let polygons = [];
+  pieces.forEach(start => {
+    if (start.used)
+      return;
+    let poly = [],
+      piece = start;
+    while (piece && !piece.used) {
+      piece.used = true;
+      poly.push(piece.a);
+      piece = (from.get(key(piece.b)) || []).filter(p => !p.used)[0];
+    }
+
+    poly = poly.filter((p, idx) => {
+      let prev = poly[(idx + poly.length - 1) % poly.length],
+        next = poly[(idx + 1) % poly.length];
+      return nearest(p, prev, next).dist > eps;
+    });
+    if (poly.length > 2)
+      polygons.push(poly);
+  });
+  return polygons;
+}
+
+
+// Returns how close points of the closed `polygons` must be to count as the
+// same, scaled to the size of the coordinates.
+function epsilonFor(polygons) {
+  let size = polygons.reduce((max, poly) =>
+    poly.reduce((max, p) => Math.max(max, Math.abs(p.x), Math.abs(p.y)), max), 0);
+  return Math.max(size, 1) * 1e-9;
+}
+
+
+// Returns the outline of the area inside the closed `polygons` where
+// `filled(winding)` is true for their winding number, as closed polygons
+// which don't cross themselves or each other. They go clockwise in y-down
+// coordinates around the areas and the other way around holes, as for
+// `combine()`. Every edge is split where the polygons cross and a piece is
+// kept only where it divides filled from unfilled, so loops where an outline
+// folds back over itself are left out.
+export function untangle(polygons, filled) {
+  let eps = epsilonFor(polygons),
+    edges = edgesOf(polygons.filter(poly => poly.length > 2)),
+    winding = windingOf(edges),
+    seen = new Set(),
+    kept = [];
+  eachOverlap(edges, eps, (e, f) => cutPair(e, f, eps));
+
+  piecesOf(edges).forEach(piece => {
+    let dx = piece.b.x - piece.a.x,
+      dy = piece.b.y - piece.a.y,
+      len = Math.sqrt(dx * dx + dy * dy);
+    if (len < eps)
+      return;
+
+    // Look just to either side of the middle of the piece.
+    let side = d => ({
+        x: (piece.a.x + piece.b.x) / 2 - dy / len * d,
+        y: (piece.a.y + piece.b.y) / 2 + dx / len * d
+      }),
+      right = filled(winding(side(eps * 1000))),
+      left = filled(winding(side(-eps * 1000)));
+    if (right === left)
+      return;
+
+    // Pieces of edges running over each other are only kept once.
+    let directed = right ? piece : {
+        a: piece.b,
+        b: piece.a
+      },
+      key = `${directed.a.x},${directed.a.y},${directed.b.x},${directed.b.y}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      kept.push(directed);
+    }
+  });
+
+  return chain(kept, eps);
+}
+
+
+// Returns commands for the shape made by the operation `op`, 'union',
+// 'difference', 'intersection' or 'xor', on the shapes drawn by the commands
+// or path data `a` and `b`, with 'difference' taking `b` away from `a`. The
+// result is made of closed subpaths of straight lines, going clockwise in
+// y-down coordinates around the areas and the other way around holes, so it
+// fills the same under either fill rule. Options:
+// - `fillRule`: 'nonzero' or 'evenodd', how `a` and `b` are filled (default
+//   'nonzero').
+// - `step`: longest straight piece used to follow curves (default 1).
+// - `resolution`, `tolerance`: as for the PointGenerator.
+// Open subpaths are closed first. Each shape is taken as its filled area, but
+// overlaps between the subpaths of one shape are not merged, so combine
+// overlapping shapes one at a time.
+export function combine(op, a, b, options = {}) {
+  if (OPERATIONS.indexOf(op) < 0)
+    throw new OptionError(`Unknown operation '${op}'`, 'op');
+
+  let rule = options.fillRule || 'nonzero',
+    step = options.step || 1,
+    res = options.resolution || 500,
+    polysOf = commands => flattenPath(commands, step, res, options.tolerance)
+    .map(sub => sub.points)
+    .filter(pts => pts.length > 2),
+    polysA = polysOf(a),
+    polysB = polysOf(b),
+    eps = epsilonFor(polysA.concat(polysB));
+
+  let edgesA = edgesOf(orient(polysA, rule, eps)),
+    edgesB = edgesOf(orient(polysB, rule, eps));
+  cutEdges(edgesA, edgesB, eps);
+
+  let kept = [];
+  [
+    [edgesA, edgesB, polysB, false],
+    [edgesB, edgesA, polysA, true]
+  ].forEach(pass => piecesOf(pass[0]).forEach(piece => {
+    let dir = keep(op, pass[3], classify(piece, pass[1], pass[2], rule, eps));
+    if (dir)
+      kept.push(dir > 0 ? piece : {
+        a: piece.b,
+        b: piece.a
+      });
+  }));
+
+  return polygonCommands(chain(kept, eps));
+}
+
+
+// Returns commands for the area covered by either `a` or `b`. See `combine()`.
+export function union(a, b, options) {
+  return combine('union', a, b, options);
+}
+
+
+// Returns commands for the area of `a` not covered by `b`. See `combine()`.
+export function difference(a, b, options) {
+  return combine('difference', a, b, options);
+}
+
+
+// Returns commands for the area covered by both `a` and `b`. See `combine()`.
+export function intersection(a, b, options) {
+  return combine('intersection', a, b, options);
+}
+
+
+// Returns commands for the area covered by one of `a` and `b` but not both.
+// See `combine()`.
+export function xor(a, b, options) {
+  return combine('xor', a, b, options);
+}
@@ -0,0 +1,297 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Command line tool
+ * Bakes the points of an SVG file or path data string into JSON, or draws
+ * them in order as SVG polylines or G-code.
+ */
+
+/* eslint-env node */
+
+import fs from 'fs';
+
+import {
+  runPipeline
+} from './pipeline';
+
+import {
+  edgeIndices
+} from './export';
+
+
+const USAGE = `Usage: svg-interpolator [options] <file.svg | ->
+       svg-interpolator [options] --path "<path data>"
+
+Writes the points of an SVG document or path as JSON in the format read by
+PointGenerator.fromJSON(), or in drawing order as SVG polylines or G-code.
+Reads from stdin when the file is '-'.
+
+Options:
+  -p, --path <d>           Use the path data <d> instead of a file
+  -r, --resolution <n>     Maximum segments used to measure a curve (500)
+  -s, --spacing <n>        Minimum distance between points (10)
+  -t, --tolerance <n>      Curve measuring tolerance (spacing / 100)
+      --fill <min>,<max>   Fill by tessellating with edges of these lengths
+      --fill-rule <rule>   Fill the outline under 'nonzero' or 'evenodd'
+      --relax <n>          Even out the fill with <n> rounds of relaxation
+      --scale <n>          Scale the points by <n>
+      --recenter           Centre the points on 0,0
+      --edges <min>,<max>  Include tessellation edges of these lengths
+      --precision <n>      Round coordinates to <n> decimal places
+  -f, --format <format>    Write 'json', 'svg' polylines or 'gcode' (json)
+      --feed-rate <n>      G-code drawing speed in mm/min (1000)
+      --travel-rate <n>    G-code pen up speed in mm/min (3000)
+      --pen-up <gcode>     G-code lifting the pen (G0 Z5)
+      --pen-down <gcode>   G-code lowering the pen (G1 Z0)
+  -o, --output <file>      Write to <file> instead of stdout
+  -h, --help               Show this message
+`;
+
+// Output formats.
+const FORMATS = ['json', 'svg', 'gcode'];
+
+// Exit codes.
+export const OK = 0;
+export const INVALID_INPUT = 1;
+export const USAGE_ERROR = 2;
+export const OUTPUT_ERROR = 3;
+
+
+// Returns an error for a mistake on the command line.
+function usageError(message) {
+  let e = new Error(message);
+  e.usage = true;
+  return e;
+}
+
+
+function number(name, value) {
+  let n = parseFloat(value);
+  if (value === undefined || isNaN(n))
+    throw usageError(`${name} needs a number`);
+  return n;
+}
+
+
+function range(name, value) {
+  let parts = (value || '').split(',');
+  if (parts.length !== 2)
+    throw usageError(`${name} needs two numbers separated by a comma`);
+  return parts.map(p => number(name, p));
+}
+
+
+// Parses the command line arguments `argv`, not including the node binary and
+// script, into an options object.
+export function parseArgs(argv) {
+  let opts = {
+      resolution: 500,
+      spacing: 10,
+      strict: true,
+      format: 'json'
+    },
+    args = argv.slice();
+
+  while (args.length) {
+    let arg = args.shift();
+    switch (arg) {
+      case '-h':
+      case '--help':
+        opts.help = true;
+        break;
+
+      case '-p':
+      case '--path':
+        if (args[0] === undefined)
+          throw usageError(`${arg} needs path data`);
+        opts.path = args.shift();
+        break;
+
+      case '-r':
+      case '--resolution':
+        opts.resolution = number(arg, args.shift());
+        break;
+
+      case '-s':
+      case '--spacing':
+        opts.spacing = number(arg, args.shift());
+        break;
+
+      case '-t':
+      case '--tolerance':
+        opts.tolerance = number(arg, args.shift());
+        break;
+
+      case '--fill':
+        opts.fill = range(arg, args.shift());
+        break;
+
+      case '--fill-rule':
+        opts.fillRule = args.shift();
+        if (opts.fillRule !== 'nonzero' && opts.fillRule !== 'evenodd')
+          throw usageError(`${arg} must be 'nonzero' or 'evenodd'`);
+        break;
+
+      case '--relax':
+        opts.relax = number(arg, args.shift());
+        break;
+
+      case '--scale':
+        opts.scale = number(arg, args.shift());
+        break;
+
+      case '--recenter':
+        opts.recenter = true;
+        break;
+
+      case '--edges':
+        opts.edges = range(arg, args.shift());
+        break;
+
+      case '--precision':
+        opts.precision = number(arg, args.shift());
+        break;
+
+      case '-f':
+      case '--format':
+        opts.format = args.shift();
+        if (FORMATS.indexOf(opts.format) < 0)
+          throw usageError(`${arg} must be one of ${FORMATS.join(', ')}`);
+        break;
+
+      case '--feed-rate':
+        opts.feedRate = number(arg, args.shift());
+        break;
+
+      case '--travel-rate':
+        opts.travelRate = number(arg, args.shift());
+        break;
+
+      case '--pen-up':
+      case '--pen-down':
+        if (args[0] === undefined)
+          throw usageError(`${arg} needs a G-code command`);
+        opts[arg === '--pen-up' ? 'penUp' : 'penDown'] = args.shift();
+        break;
+
+      case '-o':
+      case '--output':
+        if (args[0] === undefined)
+          throw usageError(`${arg} needs a file name`);
+        opts.output = args.shift();
+        break;
+
+      default:
+        if (arg !== '-' && arg[0] === '-')
+          throw usageError(`Unknown option ${arg}`);
+        if (opts.input !== undefined)
+          throw usageError('Only one input file may be given');
+        opts.input = arg;
+        break;
+    }
+  }
+
+  if (!opts.help && opts.input === undefined && opts.path === undefined)
+    throw usageError('No input given');
+  if (opts.input !== undefined && opts.path !== undefined)
+    throw usageError('Give either an input file or --path, not both');
+  if (opts.spacing <= 0)
+    throw usageError('--spacing must be greater than 0');
+  if (opts.feedRate <= 0)
+    throw usageError('--feed-rate must be greater than 0');
+  if (opts.travelRate <= 0)
+    throw usageError('--travel-rate must be greater than 0');
+
+  return opts;
+}
+
+
+// Generates the points described by `opts` from `source`, either SVG markup or
+// path data, and returns the JSON output as an object.
+export function bake(source, opts) {
+  let pgen = runPipeline(source, opts);
+
+  let result = pgen.toJSON({
+    precision: opts.precision
+  });
+  if (opts.edges)
+    result.edges = edgeIndices(pgen.points, pgen.tessellate(opts.edges[0], opts.edges[1]));
+
+  return result;
+}
+
+
+// Generates the points described by `opts` from `source` and returns them as
+// the text of the output in `opts.format`.
+export function render(source, opts) {
+  switch (opts.format) {
+    case 'svg':
+      return runPipeline(source, opts).toPolylines({
+        precision: opts.precision
+      });
+
+    case 'gcode':
+      return runPipeline(source, opts).toGCode({
+        precision: opts.precision,
+        feedRate: opts.feedRate,
+        travelRate: opts.travelRate,
+        penUp: opts.penUp,
+        penDown: opts.penDown
+      });
+  }
+  return JSON.stringify(bake(source, opts)) + '\n';
+}
+
+
+// Runs the tool with the arguments `argv` and returns the exit code. Output
+// and errors are written with `out` and `err`.
+export function main(argv, out = s => process.stdout.write(s), err = s => process.stderr.write(s)) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    if (!e.usage)
+      throw e;
+    err(`svg-interpolator: ${e.message}\n\n${USAGE}`);
+    return USAGE_ERROR;
+  }
+
+  if (opts.help) {
+    out(USAGE);
+    return OK;
+  }
+
+  let source;
+  try {
+    source = opts.path !== undefined ? opts.path :
+      fs.readFileSync(opts.input === '-' ? 0 : opts.input, 'utf8');
+  } catch (e) {
+    err(`svg-interpolator: cannot read ${opts.input}: ${e.message}\n`);
+    return INVALID_INPUT;
+  }
+
+  let text;
+  try {
+    text = render(source, opts);
+  } catch (e) {
+    err(`svg-interpolator: ${e.message}\n`);
+    return INVALID_INPUT;
+  }
+
+  if (opts.output) {
+    try {
+      fs.writeFileSync(opts.output, text);
+    } catch (e) {
+      err(`svg-interpolator: cannot write ${opts.output}: ${e.message}\n`);
+      return OUTPUT_ERROR;
+    }
+  } else {
+    out(text);
+  }
+
+  return OK;
+}
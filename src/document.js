@@ -0,0 +1,191 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Document reader
+ * Reads SVG markup without needing a DOM and collects the path commands of
+ * every shape in the drawing in the coordinates of the outermost viewport.
+ */
+
+import {
+  toAbsolute
+} from './parser';
+
+import {
+  shapeToCommands
+} from './shapes';
+
+import {
+  identity,
+  multiply,
+  translation,
+  fitting,
+  parseTransform,
+  transformCommands
+} from './matrix';
+
+import {
+  MarkupError
+} from './errors';
+
+
+// Elements whose children are never rendered directly.
+const SKIPPED = ['defs', 'clipPath', 'mask', 'marker', 'pattern', 'symbol', 'metadata', 'title', 'desc', 'style', 'script'];
+
+const TAG = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+
+function decode(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+
+function parseAttributes(str) {
+  let attrs = {},
+    match;
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(str)) !== null)
+    attrs[match[1]] = decode(match[2] !== undefined ? match[2] : match[3]);
+  return attrs;
+}
+
+
+// Parses the markup into a tree of `{name, attrs, children}` elements and
+// returns the root. Comments, CDATA, processing instructions and the doctype
+// are ignored along with any text content.
+export function parseMarkup(markup) {
+  let stripped = markup
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '');
+
+  let root = {
+      name: '#document',
+      attrs: {},
+      children: []
+    },
+    stack = [root],
+    match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(stripped)) !== null) {
+    let parent = stack[stack.length - 1];
+
+    if (match[1]) {
+      if (parent.name !== match[2])
+        throw new MarkupError(`Mismatched closing tag </${match[2]}>`);
+      stack.pop();
+      continue;
+    }
+
+    let el = {
+      name: match[2],
+      attrs: parseAttributes(match[3]),
+      children: []
+    };
+    parent.children.push(el);
+    if (!match[4])
+      stack.push(el);
+  }
+
+  if (stack.length > 1)
+    throw new MarkupError(`Unclosed tag <${stack[stack.length - 1].name}>`);
+
+  let svg = root.children.filter(el => el.name === 'svg' || el.name === 'svg:svg')[0];
+  if (!svg)
+    throw new MarkupError('No <svg> element found');
+
+  return svg;
+}
+
+
+// Returns the matrix mapping the viewBox of an `svg` element onto its
+// viewport following its `preserveAspectRatio` attribute.
+function viewBoxTransform(attrs) {
+  let box = (attrs.viewBox || '').trim().split(/[\s,]+/).map(parseFloat);
+  if (box.length !== 4 || box.some(isNaN) || box[2] <= 0 || box[3] <= 0)
+    return identity();
+
+  // The viewport defaults to the size of the viewBox when not given.
+  let width = parseFloat(attrs.width),
+    height = parseFloat(attrs.height);
+  width = isNaN(width) || /%$/.test(attrs.width) ? box[2] : width;
+  height = isNaN(height) || /%$/.test(attrs.height) ? box[3] : height;
+
+  return fitting({
+    x: box[0],
+    y: box[1],
+    width: box[2],
+    height: box[3]
+  }, {
+    x: 0,
+    y: 0,
+    width: width,
+    height: height
+  }, attrs.preserveAspectRatio);
+}
+
+
+// Strips any namespace prefix from an element name.
+function localName(name) {
+  return name.replace(/^svg:/, '');
+}
+
+
+// Walks the element tree under `el` accumulating transforms and pushes every
+// shape found onto `shapes`. Problems with path data are added to
+// `diagnostics`, if given, tagged with the id of their shape.
+function walk(el, m, shapes, nested, diagnostics) {
+  let name = localName(el.name);
+
+  if (/:/.test(name) || SKIPPED.indexOf(name) >= 0 || el.attrs.display === 'none')
+    return;
+
+  m = multiply(m, parseTransform(el.attrs.transform));
+
+  if (name === 'svg') {
+    // Nested viewports are positioned by their `x` and `y` attributes.
+    if (nested)
+      m = multiply(m, translation(parseFloat(el.attrs.x) || 0, parseFloat(el.attrs.y) || 0));
+    m = multiply(m, viewBoxTransform(el.attrs));
+  }
+
+  let id = el.attrs.id || `${name}-${shapes.length}`,
+    reported = diagnostics ? diagnostics.length : 0,
+    commands = shapeToCommands(name, el.attrs, diagnostics);
+  if (diagnostics)
+    diagnostics.slice(reported).forEach(d => d.element = id);
+  if (commands && commands.length)
+    shapes.push({
+      id: id,
+      element: name,
+      commands: transformCommands(m, toAbsolute(commands))
+    });
+
+  el.children.forEach(child => walk(child, m, shapes, true, diagnostics));
+}
+
+
+// Returns a list of `{id, element, commands}` for every shape in the SVG
+// `markup`. The commands are absolute and already transformed into the
+// coordinate system of the outermost viewport. Elements without an id are
+// given one from their element name and position in the drawing.
+//
+// Markup which can't be read throws a MarkupError. Bad path data throws a
+// PathSyntaxError unless a `diagnostics` array is given to collect the
+// problems in, in which case as much of the path as could be read is kept.
+export function parseDocument(markup, diagnostics) {
+  let shapes = [];
+  walk(parseMarkup(markup), identity(), shapes, false, diagnostics);
+  return shapes;
+}
@@ -0,0 +1,92 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Errors
+ * Every error thrown by the library is one of these so callers can tell what
+ * went wrong without matching on messages.
+ *
+ * Babel can't subclass built-ins like Error, so each constructor puts its own
+ * prototype back on the instance for `instanceof` to work.
+ */
+
+
+// Base class of all the library's errors.
+export class SVGInterpolatorError extends Error {
+  constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, SVGInterpolatorError.prototype);
+    this.name = 'SVGInterpolatorError';
+    this.message = message;
+  }
+}
+
+
+// Path data which can't be parsed. `position` is the offset of the problem in
+// the string.
+export class PathSyntaxError extends SVGInterpolatorError {
+  constructor(message, position) {
+    super(message);
+    Object.setPrototypeOf(this, PathSyntaxError.prototype);
+    this.name = 'PathSyntaxError';
+    this.position = position;
+  }
+}
+
+
+// SVG markup which can't be read.
+export class MarkupError extends SVGInterpolatorError {
+  constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, MarkupError.prototype);
+    this.name = 'MarkupError';
+  }
+}
+
+
+// A path command which is unknown or has missing or invalid fields. `index`
+// is its position in the command list and `command` the command itself.
+export class CommandError extends SVGInterpolatorError {
+  constructor(message, index, command) {
+    super(message);
+    Object.setPrototypeOf(this, CommandError.prototype);
+    this.name = 'CommandError';
+    this.index = index;
+    this.command = command;
+  }
+}
+
+
+// A setting or argument which is out of range or not understood. `option` is
+// its name.
+export class OptionError extends SVGInterpolatorError {
+  constructor(message, option) {
+    super(message);
+    Object.setPrototypeOf(this, OptionError.prototype);
+    this.name = 'OptionError';
+    this.option = option;
+  }
+}
+
+
+// An operation which needs points or an area to work with was given none.
+export class EmptyShapeError extends SVGInterpolatorError {
+  constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, EmptyShapeError.prototype);
+    this.name = 'EmptyShapeError';
+  }
+}
+
+
+// Serialised data which isn't in a format that can be loaded.
+export class FormatError extends SVGInterpolatorError {
+  constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, FormatError.prototype);
+    this.name = 'FormatError';
+  }
+}
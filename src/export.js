@@ -0,0 +1,369 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Exporters
+ * Turns generated points and tessellation lines into SVG, JSON, WebGL ready
+ * buffers and CSV, and drawing orders into SVG polylines and G-code.
+ */
+
+import {
+  translation
+} from './matrix';
+
+import {
+  OptionError,
+  FormatError
+} from './errors';
+
+
+export const FORMAT = 'svg-interpolator';
+export const VERSION = 1;
+
+const ROLES = ['boundary', 'fill'];
+
+
+// Rounds `n` to `precision` decimal places, or leaves it if not given.
+function round(n, precision) {
+  if (precision === undefined)
+    return n;
+  let f = Math.pow(10, precision);
+  return Math.round(n * f) / f;
+}
+
+
+// Returns the smallest box `{x, y, width, height}` holding `points`, or an
+// empty box at 0,0 if there are none. Found in a loop since spreading the
+// coordinates of a large cloud as arguments overflows the stack.
+function extentOf(points) {
+  if (!points.length)
+    return {
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0
+    };
+
+  let x0 = Infinity,
+    y0 = Infinity,
+    x1 = -Infinity,
+    y1 = -Infinity;
+  points.forEach(p => {
+    x0 = Math.min(x0, p.x);
+    y0 = Math.min(y0, p.y);
+    x1 = Math.max(x1, p.x);
+    y1 = Math.max(y1, p.y);
+  });
+  return {
+    x: x0,
+    y: y0,
+    width: x1 - x0,
+    height: y1 - y0
+  };
+}
+
+
+// Returns the index of every line end in `lines` within `points`, two per
+// line. Ends which aren't in `points` are skipped along with their line.
+export function edgeIndices(points, lines) {
+  let index = new Map();
+  points.forEach((p, idx) => index.set(p, idx));
+
+  let indices = [];
+  lines.forEach(l => {
+    if (index.has(l.p1) && index.has(l.p2))
+      indices.push(index.get(l.p1), index.get(l.p2));
+  });
+  return indices;
+}
+
+
+// Returns an SVG document drawing `points` as circles and `lines` as line
+// elements. Options:
+// - `radius`: circle radius, 0 to leave the circles out (default 1).
+// - `fill`: circle colour (default '#000').
+// - `stroke`: line colour (default '#000').
+// - `strokeWidth`: line width (default 0.5).
+// - `precision`: decimal places to round coordinates to.
+export function toSVG(points, lines = [], options = {}) {
+  let radius = options.radius === undefined ? 1 : options.radius,
+    precision = options.precision,
+    pad = radius + (options.strokeWidth || 0.5);
+
+  let box = extentOf(points),
+    x = box.x - pad,
+    y = box.y - pad,
+    width = box.width + 2 * pad,
+    height = box.height + 2 * pad;
+
+  let view = [x, y, width, height].map(n => round(n, precision)).join(' '),
+    out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${view}" width="${round(width, precision)}" height="${round(height, precision)}">`
+    ];
+
+  if (lines.length) {
+    out.push(`  <g stroke="${options.stroke || '#000'}" stroke-width="${options.strokeWidth || 0.5}">`);
+    lines.forEach(l => out.push(`    <line x1="${round(l.p1.x, precision)}" y1="${round(l.p1.y, precision)}" x2="${round(l.p2.x, precision)}" y2="${round(l.p2.y, precision)}"/>`));
+    out.push('  </g>');
+  }
+
+  if (radius > 0) {
+    out.push(`  <g fill="${options.fill || '#000'}">`);
+    points.forEach(p => out.push(`    <circle cx="${round(p.x, precision)}" cy="${round(p.y, precision)}" r="${radius}"/>`));
+    out.push('  </g>');
+  }
+
+  out.push('</svg>', '');
+  return out.join('\n');
+}
+
+
+// Returns the compact, versioned JSON form of the PointGenerator `pgen`.
+// Points, their roles and the outline are stored as flat arrays of numbers
+// and groups as lists of point indices. Options:
+// - `precision`: decimal places to round coordinates to.
+export function toJSON(pgen, options = {}) {
+  let precision = options.precision,
+    index = new Map(),
+    flat = [],
+    roles = [];
+
+  pgen.points.forEach((p, idx) => {
+    index.set(p, idx);
+    flat.push(round(p.x, precision), round(p.y, precision));
+    roles.push(Math.max(ROLES.indexOf(p.role), 0));
+  });
+
+  let groups = {};
+  Object.keys(pgen.groups || {}).forEach(id => {
+    groups[id] = pgen.groups[id].map(p => index.get(p)).filter(idx => idx !== undefined);
+  });
+
+  return {
+    format: FORMAT,
+    version: VERSION,
+    resolution: pgen.res,
+    length: pgen.len,
+    tolerance: pgen.tol,
+    center: {
+      x: pgen.center.x,
+      y: pgen.center.y
+    },
+    points: flat,
+    roles: roles,
+    outline: pgen.outline.map(shape => shape.map(poly =>
+      [].concat.apply([], poly.map(p => [round(p.x, precision), round(p.y, precision)])))),
+    groups: groups
+  };
+}
+
+
+// Loads the JSON form produced by `toJSON`, as a string or parsed object, into
+// the PointGenerator `pgen`. The points are stored around the origin with a
+// transform moving them back to their `center`.
+export function fromJSON(pgen, json) {
+  let data = typeof json === 'string' ? JSON.parse(json) : json;
+
+  if (!data || data.format !== FORMAT)
+    throw new FormatError('Not an svg-interpolator JSON document');
+  if (data.version > VERSION)
+    throw new FormatError(`Unsupported svg-interpolator JSON version ${data.version}`);
+  if (!Array.isArray(data.points) || data.points.length % 2)
+    throw new FormatError('The points must be an array of x and y pairs');
+  if (!Array.isArray(data.roles) || data.roles.length !== data.points.length / 2)
+    throw new FormatError('The roles must be an array with one for each point');
+  if (!Array.isArray(data.outline))
+    throw new FormatError('The outline is missing');
+
+  let center = data.center || {
+      x: 0,
+      y: 0
+    },
+    unflatten = flat => {
+      let pts = [];
+      for (let i = 0; i + 1 < flat.length; i += 2)
+        pts.push({
+          x: flat[i] - center.x,
+          y: flat[i + 1] - center.y
+        });
+      return pts;
+    };
+
+  pgen.res = data.resolution;
+  pgen.len = data.length;
+  pgen.tol = data.tolerance;
+  pgen.transform = translation(center.x, center.y);
+  pgen.localPoints = unflatten(data.points);
+  pgen.localPoints.forEach((p, idx) => p.role = ROLES[data.roles[idx]] || ROLES[0]);
+  pgen.localOutline = data.outline.map(shape => shape.map(unflatten));
+  pgen.localGroups = {};
+  pgen.localCommands = [];
+  Object.keys(data.groups || {}).forEach(id => {
+    pgen.localGroups[id] = data.groups[id].map(idx => pgen.localPoints[idx]);
+  });
+
+  return pgen;
+}
+
+
+// Per-vertex attributes which can be written into the vertex buffer and the
+// number of floats each takes.
+const ATTRIBUTES = {
+  position: [2, p => [p.x, p.y]],
+  normal: [2, p => p.normal ? [p.normal.x, p.normal.y] : [0, 0]],
+  tangent: [2, p => p.tangent ? [p.tangent.x, p.tangent.y] : [0, 0]],
+  curvature: [1, p => [p.curvature || 0]],
+  distance: [1, p => [p.distance || 0]],
+  role: [1, p => [Math.max(ROLES.indexOf(p.role), 0)]]
+};
+
+
+// Returns typed arrays ready for uploading to WebGL. `vertices` interleaves
+// the `attributes` of each point, by default only its position, and `layout`
+// gives the name, size and offset in floats of each within a vertex `stride`
+// floats long. If `lines` is given `indices` holds a pair of vertex indices for
+// each line, as a Uint32Array if there are too many points for 16 bits.
+export function toBuffers(points, lines, attributes = ['position']) {
+  let layout = [],
+    stride = 0;
+  attributes.forEach(name => {
+    if (!ATTRIBUTES[name])
+      throw new OptionError(`Unknown vertex attribute '${name}'`, 'attributes');
+    layout.push({
+      name: name,
+      size: ATTRIBUTES[name][0],
+      offset: stride
+    });
+    stride += ATTRIBUTES[name][0];
+  });
+
+  let vertices = new Float32Array(points.length * stride);
+  points.forEach((p, idx) => {
+    let offset = idx * stride;
+    layout.forEach(attr => {
+      ATTRIBUTES[attr.name][1](p).forEach((v, i) => vertices[offset + attr.offset + i] = v);
+    });
+  });
+
+  let result = {
+    vertices: vertices,
+    stride: stride,
+    layout: layout
+  };
+
+  if (lines) {
+    let IndexArray = points.length > 65535 ? Uint32Array : Uint16Array;
+    result.indices = new IndexArray(edgeIndices(points, lines));
+  }
+
+  return result;
+}
+
+
+// Returns `points` as CSV with a header row. Columns which don't apply to a
+// point, such as the tangent of a fill point, are left empty.
+export function toCSV(points, precision) {
+  let header = ['x', 'y', 'role', 'subpath', 'segment', 'distance', 'tangent_x', 'tangent_y', 'normal_x', 'normal_y', 'curvature'],
+    value = v => v === undefined ? '' : (typeof v === 'number' ? round(v, precision) : v);
+
+  let rows = points.map(p => [
+    p.x,
+    p.y,
+    p.role,
+    p.subpath,
+    p.segment,
+    p.distance,
+    p.tangent && p.tangent.x,
+    p.tangent && p.tangent.y,
+    p.normal && p.normal.x,
+    p.normal && p.normal.y,
+    p.curvature
+  ].map(value).join(','));
+
+  return [header.join(',')].concat(rows).join('\n') + '\n';
+}
+
+
+// Returns the points of `stroke`, closed strokes ending back at their start.
+function strokePoints(stroke) {
+  return stroke.closed ? stroke.points.concat([stroke.points[0]]) : stroke.points;
+}
+
+
+// Returns an SVG document drawing the `order` returned by `drawingOrder()`
+// with a polyline for each stroke and, drawn as a dot by its round cap, each
+// fill point, in order so they can be animated drawing on. Options:
+// - `stroke`: line colour (default '#000').
+// - `strokeWidth`: line width (default 0.5).
+// - `precision`: decimal places to round coordinates to.
+export function toPolylines(order, options = {}) {
+  let pts = order.dots.slice();
+  order.strokes.forEach(s => s.points.forEach(p => pts.push(p)));
+
+  let precision = options.precision,
+    width = options.strokeWidth || 0.5,
+    box = extentOf(pts),
+    x = box.x - width,
+    y = box.y - width,
+    w = box.width + 2 * width,
+    h = box.height + 2 * width,
+    coords = list => list.map(p => `${round(p.x, precision)},${round(p.y, precision)}`).join(' ');
+
+  let view = [x, y, w, h].map(n => round(n, precision)).join(' '),
+    out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${view}" width="${round(w, precision)}" height="${round(h, precision)}">`,
+      `  <g fill="none" stroke="${options.stroke || '#000'}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round">`
+    ];
+
+  order.strokes.forEach(stroke => out.push(`    <polyline points="${coords(strokePoints(stroke))}"/>`));
+  order.dots.forEach(p => out.push(`    <polyline points="${coords([p, p])}"/>`));
+
+  out.push('  </g>', '</svg>', '');
+  return out.join('\n');
+}
+
+
+// Returns G-code drawing the `order` returned by `drawingOrder()` with a pen
+// lifted between strokes and put down on each fill point. Coordinates are in
+// millimetres, with y flipped so the drawing is the same way up as in SVG.
+// Options:
+// - `scale`: millimetres per unit of the points (default 1).
+// - `feedRate`: speed while drawing in mm/min (default 1000).
+// - `travelRate`: speed with the pen up in mm/min (default 3000).
+// - `penUp`, `penDown`: the commands lifting and lowering the pen, with lines
+//   separated by newlines (default 'G0 Z5' and 'G1 Z0').
+// - `dwell`: seconds to hold the pen down on each dot (default 0).
+// - `precision`: decimal places of the coordinates (default 3).
+export function toGCode(order, options = {}) {
+  let scale = options.scale === undefined ? 1 : options.scale,
+    feed = options.feedRate === undefined ? 1000 : options.feedRate,
+    travel = options.travelRate === undefined ? 3000 : options.travelRate,
+    up = options.penUp === undefined ? 'G0 Z5' : options.penUp,
+    down = options.penDown === undefined ? 'G1 Z0' : options.penDown,
+    precision = options.precision === undefined ? 3 : options.precision,
+    xy = p => `X${round(p.x * scale, precision)} Y${round(-p.y * scale, precision)}`,
+    out = ['G21', 'G90', up];
+  if (!(feed > 0) || !(travel > 0))
+    throw new OptionError('Feed rates must be greater than 0', feed > 0 ? 'travelRate' : 'feedRate');
+
+  order.strokes.forEach(stroke => {
+    let pts = strokePoints(stroke);
+    out.push(`G0 ${xy(pts[0])} F${travel}`, down);
+    pts.slice(1).forEach((p, idx) => out.push(`G1 ${xy(p)}${idx ? '' : ` F${feed}`}`));
+    out.push(up);
+  });
+  order.dots.forEach(p => {
+    out.push(`G0 ${xy(p)} F${travel}`, down);
+    if (options.dwell)
+      out.push(`G4 P${options.dwell}`);
+    out.push(up);
+  });
+
+  out.push('M2', '');
+  return out.join('\n');
+}
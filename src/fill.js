@@ -0,0 +1,62 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Fill tools
+ * Decides which points lie inside an outline using the SVG fill rules.
+ */
+
+
+// Returns the winding number of `polygon` around the point `p`. The polygon is
+// an array of points and is treated as closed.
+export function windingNumber(p, polygon) {
+  let wn = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    let a = polygon[i],
+      b = polygon[(i + 1) % polygon.length],
+      side = (b.x - a.x) * (p.y - a.y) - (p.x - a.x) * (b.y - a.y);
+
+    if (a.y <= p.y) {
+      if (b.y > p.y && side > 0)
+        wn++;
+    } else if (b.y <= p.y && side < 0) {
+      wn--;
+    }
+  }
+  return wn;
+}
+
+
+// Returns true if `p` is inside the shape made up of the closed `polygons`
+// under the fill rule `rule`, either 'nonzero' or 'evenodd'.
+export function contains(polygons, p, rule = 'nonzero') {
+  let wn = polygons.reduce((sum, poly) => sum + windingNumber(p, poly), 0);
+  return rule === 'evenodd' ? wn % 2 !== 0 : wn !== 0;
+}
+
+
+// Returns true if `p` is inside any of `shapes`, each an array of closed
+// polygons filled on their own.
+export function insideAny(shapes, p, rule = 'nonzero') {
+  return shapes.some(polygons => contains(polygons, p, rule));
+}
+
+
+// Returns points on a triangular lattice covering `bbox` where each point is
+// `spacing` away from its six neighbours.
+export function lattice(bbox, spacing) {
+  let pts = [],
+    rowHeight = spacing * Math.sqrt(3) / 2;
+
+  for (let row = 0, y = bbox.y; y <= bbox.y + bbox.height; row++, y += rowHeight)
+    for (let x = bbox.x + (row % 2 ? spacing / 2 : 0); x <= bbox.x + bbox.width; x += spacing)
+      pts.push({
+        x: x,
+        y: y
+      });
+
+  return pts;
+}
@@ -0,0 +1,355 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Geometry
+ * Measures paths exactly from their segments rather than from sampled points:
+ * bounding boxes from the extremes of each curve, and area, centroid and
+ * perimeter by integrating along them.
+ */
+
+import {
+  curveForSegment,
+  derivativesOnSegment,
+  arcParameters,
+  pointsForSegment
+} from './paths';
+
+import {
+  segmentsFor
+} from './segments';
+
+import {
+  windingNumber
+} from './fill';
+
+import {
+  EmptyShapeError
+} from './errors';
+
+
+// Nodes and weights of 8 point Gauss-Legendre quadrature on [0, 1]. This is
+// exact for the polynomials the area and centroid of lines and beziers need.
+const NODES = [
+  0.0198550717512319, 0.1016667612931866, 0.2372337950418355, 0.4082826787521751,
+  0.5917173212478249, 0.7627662049581645, 0.8983332387068134, 0.9801449282487681
+];
+const WEIGHTS = [
+  0.0506142681451881, 0.1111905172266872, 0.1568533229389436, 0.1813418916891810,
+  0.1813418916891810, 0.1568533229389436, 0.1111905172266872, 0.0506142681451881
+];
+
+
+// Returns the integral of `fn(t)` over [0, 1] split into `pieces` equal parts.
+function integrate(fn, pieces) {
+  let sum = 0;
+  for (let i = 0; i < pieces; i++)
+    NODES.forEach((node, idx) => sum += WEIGHTS[idx] * fn((i + node) / pieces));
+  return sum / pieces;
+}
+
+
+// Returns the bounding box of `points`.
+function boxAround(points) {
+  let xs = points.map(p => p.x),
+    ys = points.map(p => p.y),
+    x = Math.min.apply(null, xs),
+    y = Math.min.apply(null, ys);
+  return {
+    x: x,
+    y: y,
+    width: Math.max.apply(null, xs) - x,
+    height: Math.max.apply(null, ys) - y
+  };
+}
+
+
+// Returns the smallest box holding both `a` and `b`, either of which may be
+// null.
+function union(a, b) {
+  if (!a || !b)
+    return a || b;
+  return boxAround([a, b, {
+    x: a.x + a.width,
+    y: a.y + a.height
+  }, {
+    x: b.x + b.width,
+    y: b.y + b.height
+  }]);
+}
+
+
+// Returns the roots in (0, 1) of `a * t^2 + b * t + c`.
+function unitRoots(a, b, c) {
+  let roots = [];
+  if (Math.abs(a) < 1e-12) {
+    if (Math.abs(b) > 1e-12)
+      roots.push(-c / b);
+  } else {
+    let disc = b * b - 4 * a * c;
+    if (disc >= 0) {
+      disc = Math.sqrt(disc);
+      roots.push((-b + disc) / (2 * a), (-b - disc) / (2 * a));
+    }
+  }
+  return roots.filter(t => t > 0 && t < 1);
+}
+
+
+// Returns the values of `t` in (0, 1) where the segment `seg` turns back in x
+// or y.
+function extremes(seg) {
+  switch (seg.type) {
+    case 'quadratic':
+      return ['x', 'y']
+        .map(k => unitRoots(0, 2 * (seg.start[k] - 2 * seg.cp1[k] + seg.end[k]), 2 * (seg.cp1[k] - seg.start[k])))
+        .reduce((all, ts) => all.concat(ts), []);
+
+    case 'cubic':
+      return ['x', 'y']
+        .map(k => unitRoots(
+          -seg.start[k] + 3 * seg.cp1[k] - 3 * seg.cp2[k] + seg.end[k],
+          2 * (seg.start[k] - 2 * seg.cp1[k] + seg.cp2[k]),
+          seg.cp1[k] - seg.start[k]))
+        .reduce((all, ts) => all.concat(ts), []);
+
+    case 'arc':
+      {
+        let arc = arcParameters(seg);
+        if (!arc)
+          return [];
+
+        // The ellipse is widest and tallest at these angles and half a turn on.
+        let cos = Math.cos(arc.phi),
+          sin = Math.sin(arc.phi),
+          angles = [Math.atan2(-arc.ry * sin, arc.rx * cos), Math.atan2(arc.ry * cos, arc.rx * sin)];
+        return angles
+          .concat(angles.map(a => a + Math.PI))
+          .map(a => {
+            let turn = 2 * Math.PI,
+              d = arc.sweep > 0 ? a - arc.start : arc.start - a;
+            return (d % turn + turn) % turn / Math.abs(arc.sweep);
+          })
+          .filter(t => t > 0 && t < 1);
+      }
+  }
+
+  return [];
+}
+
+
+// Returns the exact bounding box of the segment `seg`, as described by
+// `segmentsFor()`, found from its ends and the points where it turns back.
+export function segmentBounds(seg) {
+  let curve = curveForSegment(seg);
+  return boxAround([seg.start, seg.end].concat(extremes(seg).map(t => curve(t))));
+}
+
+
+// Returns the area, moments and length of the segment `seg`. Area and moments
+// come from Green's theorem so summing them around a closed loop gives the
+// signed area it encloses and its first moments about each axis.
+function integrals(seg) {
+  let curve = curveForSegment(seg),
+    pieces = seg.type === 'arc' ? 8 : 1,
+    terms = t => {
+      let p = curve(t),
+        d = derivativesOnSegment(seg, t).d1;
+      return {
+        p: p,
+        d: d
+      };
+    };
+
+  return {
+    area: integrate(t => {
+      let v = terms(t);
+      return (v.p.x * v.d.y - v.p.y * v.d.x) / 2;
+    }, pieces),
+    mx: integrate(t => {
+      let v = terms(t);
+      return v.p.x * v.p.x * v.d.y / 2;
+    }, pieces),
+    my: integrate(t => {
+      let v = terms(t);
+      return -v.p.y * v.p.y * v.d.x / 2;
+    }, pieces),
+    length: integrate(t => {
+      let d = derivativesOnSegment(seg, t).d1;
+      return Math.sqrt(d.x * d.x + d.y * d.y);
+    }, 16 * pieces)
+  };
+}
+
+
+// Returns the geometry of the subpath made of the segments `segs`:
+// - `bounds`: exact bounding box.
+// - `area`: signed area enclosed, as if closed back to its start. Positive
+//   when drawn clockwise in SVG's y-down coordinates.
+// - `winding`: 'clockwise', 'counterclockwise' or 'none' for no area.
+// - `perimeter`: length of the path as drawn, not including any closing line.
+// - `centroid`: centre of the enclosed area, or the middle of the bounds if
+//   there is none.
+// - `closed`: whether the path ends where it started.
+export function subpathGeometry(segs) {
+  let start = segs[0].start,
+    end = segs[segs.length - 1].end,
+    closed = Math.abs(start.x - end.x) < 1e-9 && Math.abs(start.y - end.y) < 1e-9,
+    bounds = segs.map(segmentBounds).reduce(union, null),
+    parts = segs.map(integrals),
+    perimeter = parts.reduce((len, i) => len + i.length, 0);
+
+  if (!closed)
+    parts.push(integrals({
+      type: 'line',
+      start: end,
+      end: start
+    }));
+
+  let area = 0,
+    mx = 0,
+    my = 0;
+  parts.forEach(i => {
+    area += i.area;
+    mx += i.mx;
+    my += i.my;
+  });
+
+  let flat = Math.abs(area) < 1e-9 * Math.max(1, bounds.width * bounds.height);
+
+  return {
+    bounds: bounds,
+    area: flat ? 0 : area,
+    winding: flat ? 'none' : (area > 0 ? 'clockwise' : 'counterclockwise'),
+    perimeter: perimeter,
+    centroid: flat ? {
+      x: bounds.x + bounds.width / 2,
+      y: bounds.y + bounds.height / 2
+    } : {
+      x: mx / area,
+      y: my / area
+    },
+    closed: closed
+  };
+}
+
+
+// Returns the exact bounding box of every segment of the commands or path data
+// `commands`, or null if nothing is drawn.
+export function boundsOf(commands) {
+  return [].concat.apply([], segmentsFor(commands)).map(segmentBounds).reduce(union, null);
+}
+
+
+// Returns each subpath of the commands or path data `commands` as `{points,
+// closed}`, the points found with the curve evaluators no more than `step`
+// apart on curves and only at the ends of straight lines. Closed subpaths
+// don't repeat their first point at the end. `res` and `tol` are the
+// resolution and tolerance as for the PointGenerator.
+export function flattenPath(commands, step, res, tol) {
+  return segmentsFor(commands)
+    .map(segs => flattenSubpath(segs, step, res, tol))
+    .filter(sub => sub.points.length > 1);
+}
+
+
+// Returns the subpath with the segments `segs` as `{points, closed}`, as for
+// `flattenPath()`.
+function flattenSubpath(segs, step, res, tol) {
+  let same = (a, b) => Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9,
+    pts = [];
+  segs.forEach(seg => {
+    let segPts = seg.type === 'line' ? [seg.start, seg.end] : pointsForSegment(seg, res, step, tol);
+    segPts.forEach(p => {
+      let last = pts[pts.length - 1];
+      if (!last || !same(p, last))
+        pts.push({
+          x: p.x,
+          y: p.y
+        });
+    });
+  });
+
+  let closed = pts.length > 2 && same(pts[0], pts[pts.length - 1]);
+  if (closed)
+    pts.pop();
+  return {
+    points: pts,
+    closed: closed
+  };
+}
+
+
+// Returns commands drawing each polygon in `polys`, lists of points, as a
+// closed subpath.
+export function polygonCommands(polys) {
+  let commands = [];
+  polys.forEach(poly => {
+    poly.forEach((p, idx) => commands.push({
+      code: idx ? 'L' : 'M',
+      x: p.x,
+      y: p.y
+    }));
+    commands.push({
+      code: 'Z',
+      x: poly[0].x,
+      y: poly[0].y
+    });
+  });
+  return commands;
+}
+
+
+// Returns the geometry of the commands or path data `commands`, with each of
+// its subpaths described by `subpathGeometry()` in `subpaths`. The `area` and
+// `centroid` of the whole are of the area filled under the SVG fill rule
+// `rule`, either 'nonzero' or 'evenodd', and `bounds` and `perimeter` cover
+// every subpath. Subpaths are taken to be nested in or apart from each other
+// rather than crossing. Throws an EmptyShapeError if there is nothing drawn
+// to measure.
+export function geometryOf(commands, rule = 'nonzero') {
+  let segments = segmentsFor(commands),
+    subpaths = segments.map(subpathGeometry);
+  if (!subpaths.length)
+    throw new EmptyShapeError('There is no path to measure');
+
+  let bounds = subpaths.map(sub => sub.bounds).reduce(union, null),
+    step = Math.max(bounds.width, bounds.height) / 200 || 1,
+    polys = segments.map(segs => flattenSubpath(segs, step, 500).points),
+    filled = wn => rule === 'evenodd' ? wn % 2 !== 0 : wn !== 0,
+    area = 0,
+    mx = 0,
+    my = 0;
+
+  // Each subpath adds its area where it fills the space inside it that was
+  // empty around it and takes it away where it empties what was filled. The
+  // winding around it is found at its start from the other subpaths.
+  subpaths.forEach((sub, idx) => {
+    if (!sub.area)
+      return;
+    let start = segments[idx][0].start,
+      around = polys.reduce((wn, poly, k) => k === idx ? wn : wn + windingNumber(start, poly), 0),
+      weight = (filled(around + (sub.area > 0 ? 1 : -1)) ? 1 : 0) - (filled(around) ? 1 : 0),
+      size = weight * Math.abs(sub.area);
+    area += size;
+    mx += size * sub.centroid.x;
+    my += size * sub.centroid.y;
+  });
+
+  return {
+    bounds: bounds,
+    area: area,
+    perimeter: subpaths.reduce((len, sub) => len + sub.perimeter, 0),
+    centroid: Math.abs(area) > 1e-9 ? {
+      x: mx / area,
+      y: my / area
+    } : {
+      x: bounds.x + bounds.width / 2,
+      y: bounds.y + bounds.height / 2
+    },
+    subpaths: subpaths
+  };
+}
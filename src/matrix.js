@@ -0,0 +1,264 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Matrix tools
+ * 2D affine matrices in the SVG form `{a, b, c, d, e, f}` which maps a point
+ * to `(a * x + c * y + e, b * x + d * y + f)`.
+ */
+
+
+const EPSILON = 1e-10;
+
+
+// Returns a new matrix with the given components.
+export function matrix(a, b, c, d, e, f) {
+  return {
+    a: a,
+    b: b,
+    c: c,
+    d: d,
+    e: e,
+    f: f
+  };
+}
+
+
+// Returns the identity matrix.
+export function identity() {
+  return matrix(1, 0, 0, 1, 0, 0);
+}
+
+
+// Returns the matrix which applies `m2` followed by `m1`.
+export function multiply(m1, m2) {
+  return matrix(
+    m1.a * m2.a + m1.c * m2.b,
+    m1.b * m2.a + m1.d * m2.b,
+    m1.a * m2.c + m1.c * m2.d,
+    m1.b * m2.c + m1.d * m2.d,
+    m1.a * m2.e + m1.c * m2.f + m1.e,
+    m1.b * m2.e + m1.d * m2.f + m1.f
+  );
+}
+
+
+// Returns the point `p` transformed by `m`.
+export function apply(m, p) {
+  return {
+    x: m.a * p.x + m.c * p.y + m.e,
+    y: m.b * p.x + m.d * p.y + m.f
+  };
+}
+
+
+// Returns the inverse of `m`, or null if it squashes the plane flat and so
+// can't be undone.
+export function inverse(m) {
+  let det = m.a * m.d - m.b * m.c;
+  if (Math.abs(det) < EPSILON)
+    return null;
+
+  return matrix(
+    m.d / det,
+    -m.b / det,
+    -m.c / det,
+    m.a / det,
+    (m.c * m.f - m.d * m.e) / det,
+    (m.b * m.e - m.a * m.f) / det
+  );
+}
+
+
+export function translation(x, y) {
+  return matrix(1, 0, 0, 1, x, y);
+}
+
+
+export function scaling(x, y) {
+  return matrix(x, 0, 0, y, 0, 0);
+}
+
+
+// Returns a rotation of `angle` degrees clockwise in SVG's y-down space.
+export function rotation(angle) {
+  let rads = angle * (Math.PI / 180),
+    cos = Math.cos(rads),
+    sin = Math.sin(rads);
+  return matrix(cos, sin, -sin, cos, 0, 0);
+}
+
+
+// Returns a skew of `x` degrees along the x axis and `y` along the y axis.
+export function skewing(x, y) {
+  return matrix(1, Math.tan(y * (Math.PI / 180)), Math.tan(x * (Math.PI / 180)), 1, 0, 0);
+}
+
+
+// Returns the matrix fitting the rectangle `box` into `viewport`, both
+// `{x, y, width, height}`, following the SVG `preserveAspectRatio` value
+// `aspect`, by default 'xMidYMid meet'.
+export function fitting(box, viewport, aspect) {
+  let sx = box.width ? viewport.width / box.width : 1,
+    sy = box.height ? viewport.height / box.height : 1,
+    parts = (aspect || 'xMidYMid meet').trim().split(/\s+/),
+    align = parts[0],
+    tx = 0,
+    ty = 0;
+
+  if (align !== 'none') {
+    // A box with no width or height is only scaled to fit the other way.
+    if (!box.width || !box.height)
+      sx = sy = box.width ? sx : sy;
+    else
+      sx = sy = parts[1] === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+
+    if (/xMid/.test(align))
+      tx = (viewport.width - box.width * sx) / 2;
+    else if (/xMax/.test(align))
+      tx = viewport.width - box.width * sx;
+
+    if (/YMid/.test(align))
+      ty = (viewport.height - box.height * sy) / 2;
+    else if (/YMax/.test(align))
+      ty = viewport.height - box.height * sy;
+  }
+
+  return multiply(translation(viewport.x + tx, viewport.y + ty),
+    multiply(scaling(sx, sy), translation(-box.x, -box.y)));
+}
+
+
+// Parses an SVG `transform` attribute into a single matrix.
+export function parseTransform(str) {
+  let result = identity(),
+    re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g,
+    match;
+
+  while ((match = re.exec(str || '')) !== null) {
+    let args = match[2].split(/[\s,]+/).filter(a => a.length).map(parseFloat),
+      m;
+
+    switch (match[1]) {
+      case 'matrix':
+        m = matrix(args[0], args[1], args[2], args[3], args[4], args[5]);
+        break;
+
+      case 'translate':
+        m = translation(args[0], args[1] || 0);
+        break;
+
+      case 'scale':
+        m = scaling(args[0], args.length > 1 ? args[1] : args[0]);
+        break;
+
+      case 'rotate':
+        m = rotation(args[0]);
+        if (args.length > 2)
+          m = multiply(translation(args[1], args[2]), multiply(m, translation(-args[1], -args[2])));
+        break;
+
+      case 'skewX':
+        m = skewing(args[0], 0);
+        break;
+
+      case 'skewY':
+        m = skewing(0, args[0]);
+        break;
+    }
+
+    result = multiply(result, m);
+  }
+
+  return result;
+}
+
+
+// Returns the radii and rotation of the ellipse with radii `rads` rotated by
+// `rot` degrees after it has been transformed by `m`. The transformed ellipse
+// is found from the eigenvalues of the product of the matrix with the
+// ellipse's own axes.
+function transformEllipse(m, rads, rot) {
+  let theta = rot * (Math.PI / 180),
+    cos = Math.cos(theta),
+    sin = Math.sin(theta);
+
+  // Columns of the transformed ellipse axes.
+  let ma = [
+    rads.x * (m.a * cos + m.c * sin),
+    rads.x * (m.b * cos + m.d * sin),
+    rads.y * (-m.a * sin + m.c * cos),
+    rads.y * (-m.b * sin + m.d * cos)
+  ];
+
+  let j = ma[0] * ma[0] + ma[2] * ma[2],
+    k = ma[1] * ma[1] + ma[3] * ma[3],
+    jk = (j + k) / 2,
+    disc = ((ma[0] - ma[3]) * (ma[0] - ma[3]) + (ma[2] + ma[1]) * (ma[2] + ma[1])) *
+    ((ma[0] + ma[3]) * (ma[0] + ma[3]) + (ma[2] - ma[1]) * (ma[2] - ma[1]));
+
+  // A circle stays a circle.
+  if (disc < EPSILON * jk)
+    return {
+      rads: {
+        x: Math.sqrt(jk),
+        y: Math.sqrt(jk)
+      },
+      rot: 0
+    };
+
+  let l = ma[0] * ma[1] + ma[2] * ma[3];
+  disc = Math.sqrt(disc);
+  let l1 = jk + disc / 2,
+    l2 = jk - disc / 2,
+    angle = Math.abs(l) < EPSILON && Math.abs(l1 - k) < EPSILON ? 90 :
+    Math.atan(Math.abs(l) > Math.abs(l1 - k) ? (l1 - j) / l : l / (l1 - k)) * (180 / Math.PI);
+
+  if (angle >= 0)
+    return {
+      rads: {
+        x: Math.sqrt(l1),
+        y: Math.sqrt(Math.max(l2, 0))
+      },
+      rot: angle
+    };
+
+  return {
+    rads: {
+      x: Math.sqrt(Math.max(l2, 0)),
+      y: Math.sqrt(l1)
+    },
+    rot: angle + 90
+  };
+}
+
+
+// Returns a copy of the absolute `commands` transformed by `m`. Horizontal and
+// vertical lines become plain lines as they may no longer be axis aligned.
+export function transformCommands(m, commands) {
+  let det = m.a * m.d - m.b * m.c;
+
+  return commands.map(cmd => {
+    let res = Object.assign({}, cmd, apply(m, cmd));
+
+    if (cmd.code === 'H' || cmd.code === 'V')
+      res.code = 'L';
+    if (cmd.cp1)
+      res.cp1 = apply(m, cmd.cp1);
+    if (cmd.cp2)
+      res.cp2 = apply(m, cmd.cp2);
+
+    if (cmd.code === 'A') {
+      let ellipse = transformEllipse(m, cmd.rads, cmd.rot);
+      res.rads = ellipse.rads;
+      res.rot = ellipse.rot;
+      // A reflection reverses the direction of the sweep.
+      res.swp = det < 0 ? !cmd.swp : cmd.swp;
+    }
+
+    return res;
+  });
+}
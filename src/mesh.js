@@ -0,0 +1,185 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Mesh
+ * Triangulates points into a mesh which follows the boundary of the shape.
+ * This is a conforming Delaunay triangulation rather than a constrained one:
+ * any boundary edge the triangulation misses is split by adding Steiner
+ * points along it until every piece is present, after which the triangles
+ * outside the shape or over its holes can be told apart and removed.
+ */
+
+import {
+  insideAny
+} from './fill';
+
+import {
+  seededRandom
+} from './random';
+
+import Delaunay from 'delaunay-fast';
+
+
+// Returns the Delaunay triangulation of `points` as a flat list of indices,
+// three for each triangle. Points on a common circle, such as those around a
+// circle or on a lattice, trip up the triangulation so they are first scaled
+// to a fixed size and nudged by a millionth of it in a repeatable way.
+export function delaunay(points) {
+  if (!points.length)
+    return [];
+
+  let random = seededRandom(0),
+    x = Infinity,
+    y = Infinity,
+    x1 = -Infinity,
+    y1 = -Infinity;
+  // Found in a loop as spreading large clouds over Math.min would overflow
+  // the stack.
+  points.forEach(p => {
+    x = Math.min(x, p.x);
+    y = Math.min(y, p.y);
+    x1 = Math.max(x1, p.x);
+    y1 = Math.max(y1, p.y);
+  });
+
+  let size = Math.max(x1 - x, y1 - y) || 1,
+    scale = 1000 / size;
+
+  return Delaunay.triangulate(points.map(p => [
+    (p.x - x) * scale + (random() - 0.5) * 1e-3,
+    (p.y - y) * scale + (random() - 0.5) * 1e-3
+  ]));
+}
+
+
+// Returns a key for the edge between the vertices `i` and `j` whichever way
+// round they are given.
+function edgeKey(i, j) {
+  return i < j ? `${i},${j}` : `${j},${i}`;
+}
+
+
+// Returns the keys of every edge of the flat list of `triangles`.
+function edgesOf(triangles) {
+  let edges = new Set();
+  for (let i = 0; i < triangles.length; i += 3) {
+    edges.add(edgeKey(triangles[i], triangles[i + 1]));
+    edges.add(edgeKey(triangles[i + 1], triangles[i + 2]));
+    edges.add(edgeKey(triangles[i + 2], triangles[i]));
+  }
+  return edges;
+}
+
+
+// Returns the vertex halfway along the boundary edge from `a` to `b`, described
+// as `a` is apart from its position.
+function midpoint(a, b) {
+  let m = Object.assign({}, a, {
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2
+  });
+  delete m.corner;
+  return m;
+}
+
+
+// Returns a conforming Delaunay triangulation of `vertices` in which every
+// edge of `constraints`, pairs of vertex indices, is present, possibly split
+// into pieces. Missing edges are split at their midpoints, Steiner points
+// which are added to the end of `vertices`, and the triangulation redone for
+// at most `rounds` rounds. The result is `{triangles, missing}` with the
+// triangles as a flat list of indices and the pieces of constraints still
+// missing after the last round, which is empty unless it gave up.
+export function conformingTriangulation(vertices, constraints, rounds = 64) {
+  for (let round = 0;; round++) {
+    let triangles = delaunay(vertices),
+      edges = edgesOf(triangles),
+      missing = constraints.filter(c => !edges.has(edgeKey(c[0], c[1])));
+    if (!missing.length || round >= rounds)
+      return {
+        triangles: triangles,
+        missing: missing
+      };
+
+    constraints = constraints.filter(c => edges.has(edgeKey(c[0], c[1])));
+    missing.forEach(c => {
+      let m = vertices.length;
+      vertices.push(midpoint(vertices[c[0]], vertices[c[1]]));
+      constraints.push([c[0], m], [m, c[1]]);
+    });
+  }
+}
+
+
+// Returns a triangle mesh of `points` bounded by the outlines `shapes`, a list
+// of shapes each made of subpaths as lists of points from `points` in order
+// around the boundary. Triangles are kept where their middle is inside a shape
+// under the SVG fill rule `rule`, so none cross the boundary or cover a hole.
+// The mesh has:
+// - `vertices`: `points` followed by any vertices added along the boundary.
+// - `triangles`: three vertex indices for each triangle, all wound the same
+//   way, clockwise in SVG's y-down coordinates.
+// - `edges`: two vertex indices for each edge of the triangles, once each.
+// - `missing`: two vertex indices for each piece of the boundary the
+//   triangulation still misses, which is empty unless splitting gave up. The
+//   mesh may cross the boundary there.
+export function meshOf(points, shapes, rule = 'nonzero') {
+  let index = new Map(),
+    vertices = points.slice(),
+    constraints = [];
+  points.forEach((p, idx) => index.set(p, idx));
+
+  shapes.forEach(shape => shape.forEach(poly => {
+    poly.forEach((p, idx) => {
+      let q = poly[(idx + 1) % poly.length];
+      if (p !== q)
+        constraints.push([index.get(p), index.get(q)]);
+    });
+  }));
+
+  let conforming = conformingTriangulation(vertices, constraints),
+    all = conforming.triangles,
+    triangles = [];
+  for (let i = 0; i < all.length; i += 3) {
+    let a = vertices[all[i]],
+      b = vertices[all[i + 1]],
+      c = vertices[all[i + 2]],
+      middle = {
+        x: (a.x + b.x + c.x) / 3,
+        y: (a.y + b.y + c.y) / 3
+      };
+    if (!insideAny(shapes, middle, rule))
+      continue;
+
+    let area = (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+    if (area < 0)
+      triangles.push(all[i], all[i + 2], all[i + 1]);
+    else
+      triangles.push(all[i], all[i + 1], all[i + 2]);
+  }
+
+  let edges = [],
+    seen = new Set();
+  for (let i = 0; i < triangles.length; i += 3) {
+    [0, 1, 2].forEach(k => {
+      let a = triangles[i + k],
+        b = triangles[i + (k + 1) % 3],
+        key = edgeKey(a, b);
+      if (!seen.has(key)) {
+        seen.add(key);
+        edges.push(Math.min(a, b), Math.max(a, b));
+      }
+    });
+  }
+
+  return {
+    vertices: vertices,
+    triangles: triangles,
+    edges: edges,
+    missing: [].concat.apply([], conforming.missing)
+  };
+}
@@ -0,0 +1,186 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Morphing
+ * Matches up two sets of points and tweens between them.
+ */
+
+import {
+  OptionError
+} from './errors';
+
+
+// Easing functions taking and returning a value in [0, 1].
+export const easings = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+
+function qdist(p1, p2) {
+  return Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2);
+}
+
+
+// Returns the index of the point in `points` nearest to `p`, skipping any
+// index marked in `used`.
+function nearest(p, points, used) {
+  let best = -1,
+    bestDist = Infinity;
+  points.forEach((q, idx) => {
+    let d = qdist(p, q);
+    if (d < bestDist && !(used && used[idx])) {
+      best = idx;
+      bestDist = d;
+    }
+  });
+  return best;
+}
+
+
+// Assigns each point in `small` a distinct point in `large` by repeatedly
+// taking the nearest unused one. This is quick but can leave a few long
+// matches at the end.
+function greedyAssignment(small, large) {
+  let used = new Array(large.length);
+  return small.map(p => {
+    let idx = nearest(p, large, used);
+    used[idx] = true;
+    return idx;
+  });
+}
+
+
+// Assigns each point in `small` a distinct point in `large` so that the sum of
+// the squared distances travelled is as small as possible using the Hungarian
+// algorithm. It takes O(n^2 m) time so is only practical for a few thousand
+// points.
+function optimalAssignment(small, large) {
+  let n = small.length,
+    m = large.length,
+    u = new Float64Array(n + 1),
+    v = new Float64Array(m + 1),
+    match = new Int32Array(m + 1),
+    way = new Int32Array(m + 1);
+
+  for (let i = 1; i <= n; i++) {
+    let minv = new Float64Array(m + 1).fill(Infinity),
+      used = new Uint8Array(m + 1),
+      j0 = 0;
+    match[0] = i;
+
+    do {
+      used[j0] = 1;
+      let i0 = match[j0],
+        delta = Infinity,
+        j1 = 0;
+
+      for (let j = 1; j <= m; j++) {
+        if (used[j])
+          continue;
+        let cur = qdist(small[i0 - 1], large[j - 1]) - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    do {
+      let j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  let result = new Array(n);
+  for (let j = 1; j <= m; j++)
+    if (match[j])
+      result[match[j] - 1] = j - 1;
+  return result;
+}
+
+
+// Returns the points of `set`, which may be an array or anything with a
+// `points` array such as a PointGenerator.
+function pointsOf(set) {
+  return Array.isArray(set) ? set : set.points;
+}
+
+
+// Matches the points of `from` with those of `to` and returns a function
+// `tween(t)` giving the positions of the points at time `t` in [0, 1]. Both
+// sets may be arrays of points or PointGenerators and can differ in size: the
+// smaller set is matched into the larger and each leftover point of the
+// larger set is merged with its nearest point of the smaller one, so the
+// tween always has as many points as the larger set.
+//
+// Options:
+// - `assignment`: 'greedy' (default) or 'optimal' for the lowest total travel.
+// - `easing`: an easing function or the name of one in `easings`.
+export function morph(from, to, options = {}) {
+  let src = pointsOf(from),
+    dst = pointsOf(to),
+    swapped = src.length > dst.length,
+    small = swapped ? dst : src,
+    large = swapped ? src : dst,
+    easing = options.easing || 'linear',
+    assign = options.assignment === 'optimal' ? optimalAssignment : greedyAssignment;
+
+  if (typeof easing === 'string') {
+    if (!easings[easing])
+      throw new OptionError(`Unknown easing '${easing}'`, 'easing');
+    easing = easings[easing];
+  }
+
+  // Pair up the smaller set with distinct points of the larger one, then merge
+  // whatever is left over onto the nearest point of the smaller set.
+  let pairs = [],
+    taken = new Array(large.length);
+  assign(small, large).forEach((idx, sidx) => {
+    taken[idx] = true;
+    pairs.push([small[sidx], large[idx]]);
+  });
+  large.forEach((p, idx) => {
+    if (!taken[idx] && small.length)
+      pairs.push([small[nearest(p, small)], p]);
+  });
+
+  let starts = pairs.map(pair => swapped ? pair[1] : pair[0]),
+    ends = pairs.map(pair => swapped ? pair[0] : pair[1]);
+
+  let tween = function(t) {
+    let k = easing(Math.min(Math.max(t, 0), 1));
+    return starts.map((p, idx) => {
+      return {
+        x: p.x + (ends[idx].x - p.x) * k,
+        y: p.y + (ends[idx].y - p.y) * k
+      };
+    });
+  };
+
+  tween.from = starts;
+  tween.to = ends;
+
+  return tween;
+}
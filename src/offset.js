@@ -0,0 +1,325 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Offsets
+ * Builds the outline of a stroked path and copies of a shape grown or shrunk
+ * by a fixed distance. Paths are followed in short straight pieces from the
+ * curve evaluators, offset along their normals with joins at the corners, and
+ * given back as commands to be sampled like any other path.
+ */
+
+import {
+  flattenPath,
+  polygonCommands
+} from './geometry';
+
+import {
+  untangle
+} from './boolean';
+
+import {
+  OptionError
+} from './errors';
+
+import SpatialHash from './spatial-hash';
+
+
+const JOINS = ['miter', 'round', 'bevel'];
+const CAPS = ['butt', 'round', 'square'];
+
+
+function sub(a, b) {
+  return {
+    x: a.x - b.x,
+    y: a.y - b.y
+  };
+}
+
+
+function length(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y);
+}
+
+
+// Returns the unit vector pointing from `a` to `b`.
+function direction(a, b) {
+  let v = sub(b, a),
+    len = length(v);
+  return {
+    x: v.x / len,
+    y: v.y / len
+  };
+}
+
+
+// Returns the normal to the direction `t`, on the outside of shapes with a
+// positive area as the boundary normals are.
+function normal(t) {
+  return {
+    x: t.y,
+    y: -t.x
+  };
+}
+
+
+// Returns `p` moved `d` along `v`.
+function along(p, v, d) {
+  return {
+    x: p.x + v.x * d,
+    y: p.y + v.y * d
+  };
+}
+
+
+// Returns `v` rotated by `angle` radians.
+function rotate(v, angle) {
+  let cos = Math.cos(angle),
+    sin = Math.sin(angle);
+  return {
+    x: v.x * cos - v.y * sin,
+    y: v.x * sin + v.y * cos
+  };
+}
+
+
+// Returns the points `d` from `p` in the directions turning `angle` radians
+// from the unit vector `from`, in pieces no longer than `step`, not including
+// the first.
+function arcAround(p, from, angle, d, step) {
+  let pieces = Math.max(1, Math.ceil(Math.abs(angle) / Math.min(Math.PI / 8, step / Math.abs(d)))),
+    pts = [];
+  for (let i = 1; i <= pieces; i++)
+    pts.push(along(p, rotate(from, angle * i / pieces), d));
+  return pts;
+}
+
+
+// Returns the distance from `p` to the line from `a` to `b`.
+function distanceTo(p, a, b) {
+  let v = sub(b, a),
+    len2 = v.x * v.x + v.y * v.y,
+    t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * v.x + (p.y - a.y) * v.y) / len2)) : 0;
+  return length(sub(p, along(a, v, t)));
+}
+
+
+// Returns a test of whether a point is closer than `reach` to the closed
+// polygons `polys`. Their edges are cut into pieces no longer than `reach`
+// kept in a spatial hash by their middles, so only the pieces around the
+// point are measured.
+function closerThan(polys, reach) {
+  if (!(reach > 0))
+    return () => false;
+
+  let grid = new SpatialHash(reach);
+  polys.forEach(pts => pts.forEach((a, idx) => {
+    let v = sub(pts[(idx + 1) % pts.length], a),
+      pieces = Math.max(1, Math.ceil(length(v) / reach));
+    for (let i = 0; i < pieces; i++) {
+      let p = along(a, v, i / pieces),
+        q = along(a, v, (i + 1) / pieces);
+      grid.insert({
+        x: (p.x + q.x) / 2,
+        y: (p.y + q.y) / 2,
+        a: p,
+        b: q
+      });
+    }
+  }));
+
+  // A piece within reach has its middle within half as much again.
+  return p => grid.some(p, reach * 1.5, piece => distanceTo(p, piece.a, piece.b) < reach);
+}
+
+
+// Returns the signed area of the polygon `pts`, positive in the same sense as
+// the boundary normals.
+function area(pts) {
+  let sum = 0;
+  pts.forEach((p, idx) => {
+    let q = pts[(idx + 1) % pts.length];
+    sum += p.x * q.y - q.x * p.y;
+  });
+  return sum / 2;
+}
+
+
+// Returns the polyline `pts` moved `d` along its normals. Where it turns away
+// from the side it is moved to the corner is filled in with the `join` style,
+// falling back from a miter to a bevel past `miterLimit`, and where it turns
+// towards it the two offset lines are met at their crossing. Where they would
+// cross beyond the ends of the lines, as at a sharp turn back, they are
+// joined through the corner itself instead, leaving a loop for `untangle()`.
+function offsetPolyline(pts, d, closed, join, miterLimit, step) {
+  let out = [],
+    count = pts.length;
+
+  pts.forEach((p, i) => {
+    let prev = closed ? pts[(i + count - 1) % count] : pts[i - 1],
+      next = closed ? pts[(i + 1) % count] : pts[i + 1];
+
+    if (!prev || !next) {
+      out.push(along(p, normal(prev ? direction(prev, p) : direction(p, next)), d));
+      return;
+    }
+
+    let t0 = direction(prev, p),
+      t1 = direction(p, next),
+      n0 = normal(t0),
+      n1 = normal(t1),
+      turn = Math.atan2(n0.x * n1.y - n0.y * n1.x, n0.x * n1.x + n0.y * n1.y),
+      mid = {
+        x: n0.x + n1.x,
+        y: n0.y + n1.y
+      },
+      bisector = {
+        x: mid.x / length(mid),
+        y: mid.y / length(mid)
+      },
+      // How much further than `d` the offset lines cross, 1 / cos(turn / 2),
+      // which is also the ratio SVG limits miters by.
+      ratio = length(mid) > 1e-9 ? 2 / length(mid) : Infinity,
+      inner = d * (t1.x * n0.x + t1.y * n0.y) > 0,
+      smooth = Math.abs(turn) <= Math.min(Math.PI / 8, step / Math.abs(d)),
+      // How far along each line from the corner the offset lines cross.
+      reach = Math.abs(d) * Math.tan(Math.abs(turn) / 2),
+      fits = reach <= Math.min(length(sub(p, prev)), length(sub(next, p)));
+
+    if (smooth || (inner && fits) || (!inner && join === 'miter' && ratio <= miterLimit)) {
+      out.push(along(p, bisector, d * ratio));
+    } else if (inner) {
+      out.push(along(p, n0, d), p, along(p, n1, d));
+    } else if (join === 'round') {
+      out.push(along(p, n0, d));
+      out.push.apply(out, arcAround(p, n0, turn, d, step));
+    } else {
+      out.push(along(p, n0, d), along(p, n1, d));
+    }
+  });
+
+  return out;
+}
+
+
+// Returns the points of a cap of `style` across the end of a line at `p`
+// heading in the unit direction `t`, from the side along its normal round to
+// the other, `half` from the line.
+function cap(p, t, half, style, step) {
+  let n = normal(t);
+  switch (style) {
+    case 'round':
+      // Half a turn from the normal passes through the direction of travel.
+      return arcAround(p, n, Math.PI, half, step).slice(0, -1);
+
+    case 'square':
+      return [along(along(p, n, half), t, half), along(along(p, n, -half), t, half)];
+  }
+  return [];
+}
+
+
+// Returns the options with defaults filled in, throwing an OptionError for
+// anything not understood.
+function settings(options) {
+  let opts = {
+    join: options.join || 'miter',
+    cap: options.cap || 'butt',
+    miterLimit: options.miterLimit === undefined ? 4 : options.miterLimit,
+    step: options.step || 1,
+    resolution: options.resolution || 500,
+    tolerance: options.tolerance
+  };
+  if (JOINS.indexOf(opts.join) < 0)
+    throw new OptionError(`Unknown join '${opts.join}'`, 'join');
+  if (CAPS.indexOf(opts.cap) < 0)
+    throw new OptionError(`Unknown cap '${opts.cap}'`, 'cap');
+  return opts;
+}
+
+
+// Returns closed subpath commands outlining the stroke of the commands or
+// path data `commands` `width` wide. Closed subpaths give a ring of two
+// subpaths and open ones a single subpath capped at both ends, which are then
+// untangled where they cross themselves or each other, going clockwise in
+// y-down coordinates around the stroke and the other way around holes in it.
+// Options:
+// - `join`: 'miter', 'round' or 'bevel' (default 'miter').
+// - `cap`: 'butt', 'round' or 'square' (default 'butt').
+// - `miterLimit`: longest miter as a multiple of the width (default 4).
+// - `step`: longest straight piece used to follow curves (default 1).
+// - `resolution`, `tolerance`: as for the PointGenerator.
+export function strokeOutline(commands, width, options = {}) {
+  let opts = settings(options),
+    half = width / 2,
+    polys = [];
+
+  flattenPath(commands, opts.step, opts.resolution, opts.tolerance).forEach(sub => {
+    let pts = sub.points,
+      left = offsetPolyline(pts, half, sub.closed, opts.join, opts.miterLimit, opts.step),
+      right = offsetPolyline(pts, -half, sub.closed, opts.join, opts.miterLimit, opts.step);
+
+    if (sub.closed) {
+      polys.push(left, right.reverse());
+      return;
+    }
+
+    let last = pts.length - 1;
+    polys.push(left
+      .concat(cap(pts[last], direction(pts[last - 1], pts[last]), half, opts.cap, opts.step))
+      .concat(right.reverse())
+      .concat(cap(pts[0], direction(pts[1], pts[0]), half, opts.cap, opts.step)));
+  });
+
+  return polygonCommands(untangle(polys, winding => winding !== 0));
+}
+
+
+// Returns commands for the shape drawn by `commands` grown by `distance`, or
+// shrunk if it is negative. Subpaths wound the opposite way to the largest are
+// taken as holes and shrink as the shape grows. Open subpaths are closed
+// first. Subpaths which shrink away to nothing are left out. Options are as
+// for `strokeOutline()` less `cap`, with joins 'round' by default.
+//
+// Where a shape narrower than twice the distance shrinks the offset crosses
+// itself, so points left closer to the original than the distance are dropped
+// from every offset subpath. What is left is untangled, keeping the areas
+// wound the same way as the largest subpath, so loops which fold back over
+// themselves and overlaps of subpaths growing into each other are resolved.
+// The result goes clockwise in y-down coordinates around the areas and the
+// other way around holes.
+export function offsetOutline(commands, distance, options = {}) {
+  let opts = settings(Object.assign({
+      join: 'round'
+    }, options)),
+    subs = flattenPath(commands, opts.step, opts.resolution, opts.tolerance).filter(sub => sub.points.length > 2),
+    areas = subs.map(sub => area(sub.points)),
+    largest = areas.reduce((a, b) => Math.abs(b) > Math.abs(a) ? b : a, 0),
+    sign = largest < 0 ? -1 : 1;
+
+  let polys = [],
+    tooClose = closerThan(subs.map(s => s.points), Math.abs(distance) * (1 - 1e-6));
+  subs.forEach((sub, idx) => {
+    let poly = offsetPolyline(sub.points, sign * distance, true, opts.join, opts.miterLimit, opts.step)
+      .filter(p => !tooClose(p));
+    // A subpath turned inside out has shrunk past nothing.
+    if (poly.length > 2 && area(poly) * areas[idx] > 0)
+      polys.push(poly);
+  });
+
+  return polygonCommands(untangle(polys, winding => winding * sign > 0));
+}
+
+
+// Returns commands for `count` copies of the shape drawn by `commands` each
+// `step` further out than the last, or further in if it is negative, after the
+// shape itself. Options are as for `offsetOutline()`.
+export function rings(commands, count, step, options = {}) {
+  let result = offsetOutline(commands, 0, options);
+  for (let i = 1; i <= count; i++)
+    result = result.concat(offsetOutline(commands, i * step, options));
+  return result;
+}
@@ -0,0 +1,261 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Drawing order
+ * Puts points in the order a pen would draw them: the boundary as one
+ * continuous stroke around each subpath and the fill as dots, with the
+ * strokes and dots ordered to keep the travel between them short, for pen
+ * plotters, engravers and line animations.
+ */
+
+import SpatialHash from './spatial-hash';
+
+
+function dist(a, b) {
+  return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+
+// Returns `pts` in order along their subpath, by the distance along it where
+// every point has one and otherwise by walking to the nearest point not yet
+// visited from the first.
+function alongSubpath(pts) {
+  if (pts.every(p => p.distance !== undefined))
+    return pts.slice().sort((a, b) => a.distance - b.distance);
+  return nearestNeighbour(pts.slice(1), pts[0]);
+}
+
+
+// Returns the boundary points `pts` of one subpath as a stroke `{points,
+// closed}`. A subpath counts as closed unless its ends are further apart than
+// half as much again as any neighbouring points along it.
+function strokeOf(pts) {
+  let ordered = alongSubpath(pts),
+    gap = 0;
+  for (let i = 1; i < ordered.length; i++)
+    gap = Math.max(gap, dist(ordered[i - 1], ordered[i]));
+  return {
+    points: ordered,
+    closed: ordered.length > 2 && dist(ordered[ordered.length - 1], ordered[0]) <= gap * 1.5
+  };
+}
+
+
+// Returns a spatial hash holding `pts` with cells about twice as wide as the
+// usual distance from a point to the nearest other, measured on a sample of
+// them, so a few stray points far away don't make the cells too big.
+function gridOf(pts) {
+  let every = Math.max(1, Math.floor(pts.length / 64)),
+    gaps = [];
+  for (let i = 0; i < pts.length; i += every) {
+    let gap = pts.reduce((min, q) => {
+      let d = dist(pts[i], q);
+      return d > 0 && d < min ? d : min;
+    }, Infinity);
+    if (gap < Infinity)
+      gaps.push(gap);
+  }
+  gaps.sort((a, b) => a - b);
+
+  let grid = new SpatialHash(gaps.length ? 2 * gaps[gaps.length >> 1] : 1);
+  pts.forEach(p => grid.insert(p));
+  return grid;
+}
+
+
+// Returns `pts` in the order found by starting at `from` and always going on
+// to the nearest point not yet visited. `from` is not included.
+function nearestNeighbour(pts, from) {
+  if (!pts.length)
+    return [];
+
+  let grid = gridOf(pts),
+    path = [],
+    at = from;
+  while (path.length < pts.length) {
+    at = grid.nearest(at);
+    grid.remove(at);
+    path.push(at);
+  }
+  return path;
+}
+
+
+// Returns up to `k` of the points of `pts` nearest to each of them, nearest
+// first, in a Map keyed by the point.
+function nearestOf(pts, k) {
+  let grid = gridOf(pts),
+    near = new Map();
+  pts.forEach(p => near.set(p, grid.nearby(p, k + 1).filter(q => q !== p).slice(0, k)));
+  return near;
+}
+
+
+// Returns the path `pts`, starting from `from`, shortened by 2-opt: runs of it
+// are turned around wherever that makes it shorter, for at most `passes`
+// passes. Only turns which join a point to one of its `k` nearest are tried,
+// which finds nearly all the gains without trying every pair of places to cut.
+function twoOpt(pts, from, passes, k = 8) {
+  let path = [from].concat(pts),
+    n = path.length,
+    near = nearestOf(pts, k),
+    index = new Map(),
+    // Which point is at each place along the path, by its place at the start,
+    // and the other way round.
+    ids = new Int32Array(n),
+    at = new Int32Array(n);
+  path.forEach((p, idx) => {
+    index.set(p, idx);
+    ids[idx] = at[idx] = idx;
+  });
+  let links = path.map(p => p === from ? [] : near.get(p).map(q => index.get(q)));
+
+  // Turns around the run from `i` to `j` if that makes the path shorter. The
+  // path is open so turning around a run to its end only changes the edge in.
+  let turn = (i, j) => {
+    let before = dist(path[i - 1], path[i]) + (j + 1 < n ? dist(path[j], path[j + 1]) : 0),
+      after = dist(path[i - 1], path[j]) + (j + 1 < n ? dist(path[i], path[j + 1]) : 0);
+    if (after >= before - 1e-9)
+      return false;
+    for (let a = i, b = j; a < b; a++, b--) {
+      let t = path[a],
+        id = ids[a];
+      path[a] = path[b];
+      path[b] = t;
+      ids[a] = ids[b];
+      ids[b] = id;
+      at[ids[a]] = a;
+      at[ids[b]] = b;
+    }
+    return true;
+  };
+
+  for (let pass = 0; pass < passes; pass++) {
+    let improved = false;
+    for (let i = 1; i < n; i++) {
+      // Try making each near point follow or precede the point at `i`, which
+      // may move as runs are turned around.
+      let id = ids[i];
+      links[id].forEach(q => {
+        let p = at[id],
+          j = at[q];
+        if (j > p + 1)
+          improved = turn(p + 1, j) || improved;
+        else if (j < p - 1)
+          improved = turn(j, p - 1) || improved;
+      });
+    }
+    if (!improved)
+      break;
+  }
+  return path.slice(1);
+}
+
+
+// Returns `strokes` in the order found by starting at `from` and always
+// drawing next the stroke which can be started nearest to where the last
+// ended. Open strokes may be drawn backwards and closed ones started at any
+// of their points.
+function orderStrokes(strokes, from) {
+  let left = strokes.slice(),
+    ordered = [],
+    at = from;
+  while (left.length) {
+    let best = null;
+    left.forEach((stroke, idx) => {
+      let pts = stroke.points,
+        starts = stroke.closed ? pts.map((p, i) => i) : [0, pts.length - 1];
+      starts.forEach(i => {
+        let d = dist(at, pts[i]);
+        if (!best || d < best.d)
+          best = {
+            d: d,
+            idx: idx,
+            start: i
+          };
+      });
+    });
+
+    let stroke = left.splice(best.idx, 1)[0],
+      pts = stroke.points;
+    if (stroke.closed)
+      pts = pts.slice(best.start).concat(pts.slice(0, best.start));
+    else if (best.start)
+      pts = pts.slice().reverse();
+    ordered.push({
+      points: pts,
+      closed: stroke.closed
+    });
+    at = stroke.closed ? pts[0] : pts[pts.length - 1];
+  }
+  return ordered;
+}
+
+
+// Returns the drawing order of `points`, as returned by the PointGenerator,
+// with `groups` of them for each shape if there are more than one:
+// - `strokes`: the boundary points of each subpath as `{points, closed}`, in
+//   order around it. A closed stroke ends by going back to its first point.
+// - `dots`: the fill points, in the order to visit them.
+// The strokes are drawn first, then the dots. Options:
+// - `start`: where the pen starts (default 0,0).
+// - `passes`: most passes of 2-opt to shorten the travel between dots, 0 to
+//   only visit the nearest each time (default 8).
+export function drawingOrder(points, groups = {}, options = {}) {
+  let start = options.start || {
+      x: 0,
+      y: 0
+    },
+    passes = options.passes === undefined ? 8 : options.passes,
+    ids = Object.keys(groups),
+    shapes = ids.length ? ids.map(id => groups[id]) : [points],
+    strokes = [];
+
+  shapes.forEach(shape => {
+    let subpaths = new Map();
+    shape.forEach(p => {
+      if (p.role !== 'boundary')
+        return;
+      if (!subpaths.has(p.subpath))
+        subpaths.set(p.subpath, []);
+      subpaths.get(p.subpath).push(p);
+    });
+    subpaths.forEach(pts => strokes.push(strokeOf(pts)));
+  });
+
+  strokes = orderStrokes(strokes, start);
+
+  let last = strokes.length ? strokes[strokes.length - 1] : null,
+    at = !last ? start : last.closed ? last.points[0] : last.points[last.points.length - 1],
+    dots = nearestNeighbour(points.filter(p => p.role !== 'boundary'), at);
+
+  return {
+    strokes: strokes,
+    dots: passes > 0 ? twoOpt(dots, at, passes) : dots
+  };
+}
+
+
+// Returns the length of the pen's travel between strokes and dots in `order`,
+// as returned by `drawingOrder()`, from `start`, 0,0 unless given.
+export function travelLength(order, start = {
+  x: 0,
+  y: 0
+}) {
+  let total = 0,
+    at = start;
+  order.strokes.forEach(stroke => {
+    let pts = stroke.points;
+    total += dist(at, pts[0]);
+    at = stroke.closed ? pts[0] : pts[pts.length - 1];
+  });
+  order.dots.forEach(p => {
+    total += dist(at, p);
+    at = p;
+  });
+  return total;
+}
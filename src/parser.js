@@ -0,0 +1,329 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Path data parser
+ * Turns the contents of a path's `d` attribute into the list of command
+ * objects understood by the point generator.
+ */
+
+import {
+  PathSyntaxError
+} from './errors';
+
+
+// Number of arguments taken by each command. Commands given more arguments
+// than this are repeated implicitly.
+const ARGUMENTS = {
+  M: 2,
+  L: 2,
+  H: 1,
+  V: 1,
+  C: 6,
+  S: 4,
+  Q: 4,
+  T: 2,
+  A: 7,
+  Z: 0
+};
+
+const COMMAND = /[MLHVCSQTAZ]/i;
+const WHITESPACE = /[\s,]/;
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+
+
+// Splits path data into a flat array of command letters and numbers, with the
+// offset of each in `positions`. Arc flags are read as single digits so
+// compact forms like `a1 1 0 011 1` are understood. Tokenizing stops at the
+// first character which can't be read, which is described in `error`.
+function tokenize(d) {
+  let tokens = [],
+    positions = [],
+    pos = 0,
+    code = null,
+    arg = 0;
+
+  let fail = message => {
+    return {
+      tokens: tokens,
+      positions: positions,
+      error: new PathSyntaxError(`${message} at position ${pos}`, pos)
+    };
+  };
+
+  while (pos < d.length) {
+    let ch = d[pos];
+
+    if (WHITESPACE.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    positions.push(pos);
+
+    if (COMMAND.test(ch)) {
+      tokens.push(ch);
+      code = ch.toUpperCase();
+      arg = 0;
+      pos++;
+      continue;
+    }
+
+    // The fourth and fifth arguments of an arc are flags which may be written
+    // without any separator.
+    if (code === 'A' && (arg % 7 === 3 || arg % 7 === 4)) {
+      if (ch !== '0' && ch !== '1') {
+        positions.pop();
+        return fail(`Invalid arc flag '${ch}'`);
+      }
+      tokens.push(Number(ch));
+      arg++;
+      pos++;
+      continue;
+    }
+
+    let match = NUMBER.exec(d.slice(pos));
+    if (!match) {
+      positions.pop();
+      return fail(`Unexpected '${ch}'`);
+    }
+    tokens.push(parseFloat(match[0]));
+    arg++;
+    pos += match[0].length;
+  }
+
+  return {
+    tokens: tokens,
+    positions: positions,
+    error: null
+  };
+}
+
+
+// Builds a command object from the command letter and its arguments using the
+// same fields as the rest of the library: the end point in `x` and `y`,
+// control points in `cp1` and `cp2` and the arc parameters in `rads`, `rot`,
+// `lrg` and `swp`.
+function command(code, args) {
+  switch (code.toUpperCase()) {
+    case 'M':
+    case 'L':
+    case 'T':
+      return {
+        code: code,
+        x: args[0],
+        y: args[1]
+      };
+
+    case 'H':
+      return {
+        code: code,
+        x: args[0]
+      };
+
+    case 'V':
+      return {
+        code: code,
+        y: args[0]
+      };
+
+    case 'C':
+      return {
+        code: code,
+        cp1: {
+          x: args[0],
+          y: args[1]
+        },
+        cp2: {
+          x: args[2],
+          y: args[3]
+        },
+        x: args[4],
+        y: args[5]
+      };
+
+    case 'S':
+      return {
+        code: code,
+        cp2: {
+          x: args[0],
+          y: args[1]
+        },
+        x: args[2],
+        y: args[3]
+      };
+
+    case 'Q':
+      return {
+        code: code,
+        cp1: {
+          x: args[0],
+          y: args[1]
+        },
+        x: args[2],
+        y: args[3]
+      };
+
+    case 'A':
+      return {
+        code: code,
+        rads: {
+          x: args[0],
+          y: args[1]
+        },
+        rot: args[2],
+        lrg: args[3] === 1,
+        swp: args[4] === 1,
+        x: args[5],
+        y: args[6]
+      };
+
+    case 'Z':
+      return {
+        code: code
+      };
+  }
+}
+
+
+// Parses the path data string `d` and returns an array of command objects.
+// Implicitly repeated commands are expanded into one object each, with
+// repeated moveto commands becoming linetos as the specification requires.
+//
+// Errors throw a PathSyntaxError unless a `diagnostics` array is given, in
+// which case the error is added to it and, as SVG renderers do, the commands
+// read up to the error are returned.
+export function parsePath(d, diagnostics) {
+  let result = tokenize(d),
+    tokens = result.tokens,
+    commands = [],
+    pos = 0,
+    error = null;
+
+  let fail = (message, idx) => {
+    let at = idx < tokens.length ? result.positions[idx] : d.length;
+    error = new PathSyntaxError(`${message} at position ${at}`, at);
+  };
+
+  if (tokens.length && !/m/i.test(tokens[0]))
+    fail('Path data must begin with a moveto command', 0);
+
+  while (!error && pos < tokens.length) {
+    if (typeof tokens[pos] === 'number') {
+      fail(`Unexpected number ${tokens[pos]} after closepath`, pos);
+      break;
+    }
+
+    let code = tokens[pos++],
+      count = ARGUMENTS[code.toUpperCase()],
+      first = true;
+
+    do {
+      let args = tokens.slice(pos, pos + count);
+      if (args.length < count || args.some(a => typeof a !== 'number')) {
+        // Running out of arguments is down to a bad character if there was one.
+        if (args.length < count && result.error)
+          error = result.error;
+        else
+          fail(`Missing arguments for command '${code}'`, pos - (first ? 1 : 0));
+        break;
+      }
+      pos += count;
+
+      commands.push(command(code, args));
+
+      // Any further coordinate pairs after a moveto are treated as linetos.
+      if (first && code === 'M')
+        code = 'L';
+      else if (first && code === 'm')
+        code = 'l';
+      first = false;
+    } while (count > 0 && typeof tokens[pos] === 'number');
+  }
+
+  // A bad character only matters if everything before it was understood.
+  error = error || result.error;
+
+  if (error) {
+    if (!diagnostics)
+      throw error;
+    diagnostics.push({
+      severity: 'error',
+      message: error.message,
+      position: error.position
+    });
+  }
+
+  return commands;
+}
+
+
+// Offsets the point `p` by the current point `cur`.
+function offset(p, cur) {
+  return {
+    x: p.x + cur.x,
+    y: p.y + cur.y
+  };
+}
+
+
+// Returns a copy of `commands` with every relative command resolved against
+// the current point into its absolute form. Horizontal and vertical lines are
+// given both coordinates and closepath commands are given the point they
+// close back to, the start of their subpath.
+export function toAbsolute(commands) {
+  let cur = {
+      x: 0,
+      y: 0
+    },
+    start = cur;
+
+  return commands.map(cmd => {
+    let code = cmd.code.toUpperCase(),
+      rel = cmd.code !== code,
+      abs = Object.assign({}, cmd, {
+        code: code
+      });
+
+    switch (code) {
+      case 'H':
+        abs.x = rel ? cur.x + cmd.x : cmd.x;
+        abs.y = cur.y;
+        break;
+
+      case 'V':
+        abs.x = cur.x;
+        abs.y = rel ? cur.y + cmd.y : cmd.y;
+        break;
+
+      case 'Z':
+        abs.x = start.x;
+        abs.y = start.y;
+        break;
+
+      default:
+        if (rel) {
+          Object.assign(abs, offset(cmd, cur));
+          if (cmd.cp1)
+            abs.cp1 = offset(cmd.cp1, cur);
+          if (cmd.cp2)
+            abs.cp2 = offset(cmd.cp2, cur);
+        }
+        break;
+    }
+
+    cur = {
+      x: abs.x,
+      y: abs.y
+    };
+
+    // Moveto begins a new subpath which any later closepath returns to.
+    if (code === 'M')
+      start = cur;
+
+    return abs;
+  });
+}
@@ -223,69 +223,341 @@ function approximateArcLengthOfCurve(resolution, pointOnCurveFunc) {
   };
 }
 
-function generateLinearCurve(resolution, pointOnCurveFunc) {
+// Measures the curve by recursively halving it until the two halves of each
+// piece are longer than its chord by no more than `tolerance`, so flat or
+// short parts are measured with few segments and tight bends with many. No
+// piece is halved more than `maxDepth` times.
+function adaptiveArcLengthOfCurve(tolerance, maxDepth, pointOnCurveFunc) {
+  var resultantArcLength = 0;
+  var arcLengthMap = [{
+    t: 0,
+    arcLength: 0
+  }];
+
+  function subdivide(t0, p0, t1, p1, depth) {
+    var tm = (t0 + t1) / 2;
+    var pm = pointOnCurveFunc(tm);
+    var chord = distance(p0, p1);
+    var halves = distance(p0, pm) + distance(pm, p1);
+
+    // Always split a couple of times so symmetrical curves whose midpoint
+    // happens to sit on the chord aren't taken as straight.
+    if (depth < maxDepth && (depth < 2 || halves - chord > tolerance)) {
+      subdivide(t0, p0, tm, pm, depth + 1);
+      subdivide(tm, pm, t1, p1, depth + 1);
+      return;
+    }
+
+    resultantArcLength += distance(p0, pm);
+    arcLengthMap.push({
+      t: tm,
+      arcLength: resultantArcLength
+    });
+    resultantArcLength += distance(pm, p1);
+    arcLengthMap.push({
+      t: t1,
+      arcLength: resultantArcLength
+    });
+  }
+
+  subdivide(0, pointOnCurveFunc(0), 1, pointOnCurveFunc(1), 0);
+
+  return {
+    arcLength: resultantArcLength,
+    arcLengthMap: arcLengthMap
+  };
+}
+
+// Without a `tolerance` the curve is measured with `resolution` even segments,
+// otherwise it is subdivided adaptively using no more than about `resolution`
+// segments.
+function generateLinearCurve(resolution, pointOnCurveFunc, tolerance) {
   // Resolution is the number of segments we use to approximate
   resolution = resolution ? resolution : 500;
 
-  var result = approximateArcLengthOfCurve(resolution, pointOnCurveFunc);
+  var result = tolerance ?
+    adaptiveArcLengthOfCurve(tolerance, Math.ceil(Math.log2(resolution)), pointOnCurveFunc) :
+    approximateArcLengthOfCurve(resolution, pointOnCurveFunc);
   var arcLength = result.arcLength;
   var arcLengthMap = result.arcLengthMap;
 
-  // Transforms `u`[0-1] into a corresponding point along the curve. `u * arcLength`
-  var transformer = function(u) {
+  // Transforms `u`[0-1] into the value of `t` for the corresponding point
+  // along the curve. `u * arcLength`
+  var parameter = function(u) {
     u = clamp(u, 0, 1);
     var targetDistanceFromStartingPoint = u * arcLength;
 
-    var resultantT = 0;
+    // Binary search for the first entry at or past our target.
+    var lo = 0;
+    var hi = arcLengthMap.length - 1;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (arcLengthMap[mid].arcLength >= targetDistanceFromStartingPoint)
+        hi = mid;
+      else
+        lo = mid + 1;
+    }
+
+    // Lets interpolate from the previous entry to it
+    var entry = arcLengthMap[lo];
+    var prev = lo > 0 ? arcLengthMap[lo - 1] : {
+      t: 0,
+      arcLength: 0
+    };
+    var endDiff = entry.arcLength - targetDistanceFromStartingPoint;
+    var startDiff = targetDistanceFromStartingPoint - prev.arcLength;
+    var linearFactor = (startDiff / (endDiff + startDiff)) || 0;
+
+    return prev.t + (entry.t - prev.t) * linearFactor;
+  };
+
+  // Transforms `u`[0-1] into a corresponding point along the curve.
+  var transformer = function(u) {
+    return pointOnCurveFunc(parameter(u));
+  };
+
+  transformer.parameter = parameter;
+  transformer.arcLength = arcLength;
+
+  return transformer;
+}
+
+
+// Returns the number of steps for a given segment length on a curve measured
+// by `generateLinearCurve`, at least one so a curve shorter than `len` still
+// has both its ends.
+function nsteps(stepFn, len) {
+  return Math.max(1, Math.floor(stepFn.arcLength / len));
+}
+
+
+// Returns `steps + 1` points calculated from `pointFn`, evenly spaced in `t`
+// from exactly 0 to exactly 1 so that both ends are always included.
+// `pointFn` is expected to take a value `t`.
+function getPoints(pointFn, steps) {
+  let pts = [];
+  for (let i = 0; i <= steps; i++)
+    pts.push(pointFn(i / steps));
+  return pts;
+}
 
-    var prevArcLength = 0;
-    var prevT = 0;
-    arcLengthMap.every(function(entry) {
-      var t = entry.t;
-      var arcLength = entry.arcLength;
 
-      // Once we go a past our target
-      // Lets interpolate from a previous to current
-      if (arcLength >= targetDistanceFromStartingPoint) {
-        var endDiff = arcLength - targetDistanceFromStartingPoint;
-        var startDiff = targetDistanceFromStartingPoint - prevArcLength;
-        var linearFactor = (startDiff / (endDiff + startDiff)) || 0;
+// Returns points from `stepFn`, as made by `linearCurveForSegment`, spaced
+// by the function `spacing(x, y)` giving the distance wanted between points
+// around each position. The curve is split into `samples` pieces to add up how
+// many points it needs, which are then shared out so there are points at
+// exactly both ends.
+function getSpacedPoints(stepFn, spacing, samples) {
+  let counts = [0],
+    total = 0;
+  for (let i = 1; i <= samples; i++) {
+    let mid = stepFn((i - 0.5) / samples);
+    total += stepFn.arcLength / samples / spacing(mid.x, mid.y);
+    counts.push(total);
+  }
+
+  let steps = Math.max(1, Math.floor(total)),
+    pts = [stepFn(0)];
+  for (let k = 1, i = 1; k < steps; k++) {
+    let target = k * total / steps;
+    while (counts[i] < target)
+      i++;
+    pts.push(stepFn((i - 1 + (target - counts[i - 1]) / (counts[i] - counts[i - 1])) / samples));
+  }
+  pts.push(stepFn(1));
+  return pts;
+}
 
-        resultantT = prevT + (t - prevT) * linearFactor;
 
-        // Break
-        return false;
+// Returns the first and second derivatives with respect to `t` of the curve
+// `seg` at `t`.
+export function derivativesOnSegment(seg, t) {
+  let p0 = seg.start,
+    p3 = seg.end,
+    mt = 1 - t;
+
+  switch (seg.type) {
+    case 'cubic':
+      {
+        let p1 = seg.cp1,
+          p2 = seg.cp2;
+        return {
+          d1: {
+            x: 3 * mt * mt * (p1.x - p0.x) + 6 * mt * t * (p2.x - p1.x) + 3 * t * t * (p3.x - p2.x),
+            y: 3 * mt * mt * (p1.y - p0.y) + 6 * mt * t * (p2.y - p1.y) + 3 * t * t * (p3.y - p2.y)
+          },
+          d2: {
+            x: 6 * mt * (p2.x - 2 * p1.x + p0.x) + 6 * t * (p3.x - 2 * p2.x + p1.x),
+            y: 6 * mt * (p2.y - 2 * p1.y + p0.y) + 6 * t * (p3.y - 2 * p2.y + p1.y)
+          }
+        };
       }
 
+    case 'quadratic':
+      {
+        let p1 = seg.cp1;
+        return {
+          d1: {
+            x: 2 * mt * (p1.x - p0.x) + 2 * t * (p3.x - p1.x),
+            y: 2 * mt * (p1.y - p0.y) + 2 * t * (p3.y - p1.y)
+          },
+          d2: {
+            x: 2 * (p3.x - 2 * p1.x + p0.x),
+            y: 2 * (p3.y - 2 * p1.y + p0.y)
+          }
+        };
+      }
 
-      prevArcLength = arcLength;
-      prevT = t;
+    case 'arc':
+      {
+        let pt = pointOnArc(p0, seg.rads.x, seg.rads.y, seg.rot, seg.lrg, seg.swp, p3, t);
+
+        // Degenerate arcs are drawn as lines.
+        if (pt.ellipticalArcAngle !== undefined) {
+          let sweep = pt.ellipticalArcEndAngle - pt.ellipticalArcStartAngle,
+            phi = toRadians(mod(seg.rot, 360)),
+            cosPhi = Math.cos(phi),
+            sinPhi = Math.sin(phi),
+            cos = Math.cos(pt.ellipticalArcAngle),
+            sin = Math.sin(pt.ellipticalArcAngle),
+            rx = pt.resultantRx,
+            ry = pt.resultantRy;
+          return {
+            d1: {
+              x: sweep * (-cosPhi * rx * sin - sinPhi * ry * cos),
+              y: sweep * (-sinPhi * rx * sin + cosPhi * ry * cos)
+            },
+            d2: {
+              x: sweep * sweep * (-cosPhi * rx * cos + sinPhi * ry * sin),
+              y: sweep * sweep * (-sinPhi * rx * cos - cosPhi * ry * sin)
+            }
+          };
+        }
+      }
+  }
 
-      return true;
-    });
+  return {
+    d1: {
+      x: p3.x - p0.x,
+      y: p3.y - p0.y
+    },
+    d2: {
+      x: 0,
+      y: 0
+    }
+  };
+}
+
+
+// Returns the point at `t` along the segment `seg` with its unit `tangent` in
+// the direction of travel and signed `curvature`, positive when turning from
+// the x axis towards the y axis.
+export function pointOnSegment(seg, t) {
+  let pt = curveForSegment(seg)(t),
+    der = derivativesOnSegment(seg, t),
+    speed = Math.sqrt(der.d1.x * der.d1.x + der.d1.y * der.d1.y),
+    dir = der.d1;
+
+  // Where the curve momentarily stops, such as at a control point sitting on
+  // an end point, the direction is found from either side instead.
+  if (speed < 1e-9) {
+    let before = curveForSegment(seg)(clamp(t - 1e-6, 0, 1)),
+      after = curveForSegment(seg)(clamp(t + 1e-6, 0, 1));
+    dir = {
+      x: after.x - before.x,
+      y: after.y - before.y
+    };
+  }
 
-    return pointOnCurveFunc(resultantT);
+  let norm = Math.sqrt(dir.x * dir.x + dir.y * dir.y) || 1;
+
+  return {
+    x: pt.x,
+    y: pt.y,
+    tangent: {
+      x: dir.x / norm,
+      y: dir.y / norm
+    },
+    curvature: speed < 1e-9 ? 0 : (der.d1.x * der.d2.y - der.d1.y * der.d2.x) / Math.pow(speed, 3)
   };
+}
 
-  transformer.arcLength = arcLength;
 
-  return transformer;
+// Returns the `center`, corrected radii `rx` and `ry`, rotation `phi` in
+// radians and the `start` and `sweep` angles of the arc segment `seg`, or null
+// if it is drawn as a line or not at all.
+export function arcParameters(seg) {
+  let pt = pointOnArc(seg.start, seg.rads.x, seg.rads.y, seg.rot, seg.lrg, seg.swp, seg.end, 0);
+  if (pt.ellipticalArcAngle === undefined)
+    return null;
+
+  return {
+    center: pt.ellipticalArcCenter,
+    rx: pt.resultantRx,
+    ry: pt.resultantRy,
+    phi: toRadians(mod(seg.rot, 360)),
+    start: pt.ellipticalArcStartAngle,
+    sweep: pt.ellipticalArcEndAngle - pt.ellipticalArcStartAngle
+  };
 }
 
 
-// Returns the number of steps for a given segment length on a curve.
-function nsteps(curveFn, res, len) {
-  let arcLength = approximateArcLengthOfCurve(res, curveFn).arcLength;
-  return Math.floor(arcLength / len);
+// Returns a function giving the point at `t` [0-1] along the segment `seg` as
+// described by `segmentsFor()`.
+export function curveForSegment(seg) {
+  switch (seg.type) {
+    case 'line':
+      return pointOnLine.bind(this, seg.start, seg.end);
+
+    case 'arc':
+      return pointOnArc.bind(this, seg.start, seg.rads.x, seg.rads.y, seg.rot, seg.lrg, seg.swp, seg.end);
+
+    case 'cubic':
+      return pointOnCubicBezierCurve.bind(this, seg.start, seg.cp1, seg.cp2, seg.end);
+
+    case 'quadratic':
+      return pointOnQuadraticBezier.bind(this, seg.start, seg.cp1, seg.end);
+  }
 }
 
 
-// Returns `steps` points calculated from `pointFn`.
-// `pointFn` is expected to take a value `t`.
-function getPoints(pointFn, steps) {
-  let pts = [];
-  for (let i = 0, t = 1 / steps; i <= 1; i += t)
-    pts.push(pointFn(i));
+// Returns a function transforming `u` [0-1] into the point that fraction of
+// the way along the segment `seg` by arc length, computed with a resolution of
+// `res` and tolerance `tol` as for `pointsForBezier`. Each point is described
+// as by `pointOnSegment` along with its `distance` from the start of the
+// segment. The length of the segment is in the function's `arcLength`
+// property.
+export function linearCurveForSegment(seg, res, tol) {
+  let stepFn;
+  if (seg.type === 'line') {
+    stepFn = {
+      parameter: u => clamp(u, 0, 1),
+      arcLength: distance(seg.start, seg.end)
+    };
+  } else {
+    stepFn = generateLinearCurve(res, curveForSegment(seg), tol);
+  }
+
+  let transformer = u => {
+    let pt = pointOnSegment(seg, stepFn.parameter(u));
+    pt.distance = clamp(u, 0, 1) * stepFn.arcLength;
+    return pt;
+  };
+  transformer.arcLength = stepFn.arcLength;
+
+  return transformer;
+}
+
+
+// Returns points no closer than `len` along the segment `seg`, described as by
+// `linearCurveForSegment`. The length of the segment is kept in the returned
+// array's `arcLength` property. `len` may also be a function `(x, y) =>
+// length` to space the points differently along the segment.
+export function pointsForSegment(seg, res, len, tol) {
+  let stepFn = linearCurveForSegment(seg, res, tol),
+    pts = typeof len === 'function' ? getSpacedPoints(stepFn, len, Math.max(res, 100)) :
+    getPoints(stepFn, nsteps(stepFn, len));
+  pts.arcLength = stepFn.arcLength;
   return pts;
 }
 
@@ -294,13 +566,29 @@ function getPoints(pointFn, steps) {
 // and `cp2` then interpolates that curve with a resolution of `res`. This means
 // that the curve will have its value calculated for `res` steps (of t).
 // The curve is then interpolated for `len` segments with the point for 
-// each segment returned. 
-export function pointsForBezier(start, cp1, cp2, end, res, len) {
-  let curveFn = pointOnCubicBezierCurve.bind(this, start, cp1, cp2, end),
-    stepFn = generateLinearCurve(res, curveFn),
-    steps = nsteps(curveFn, res, len);
+// each segment returned. If a tolerance `tol` is given the curve is instead
+// subdivided until it is accurate to within it, using at most `res` steps.
+// `len` may be a function `(x, y) => length` as for `pointsForSegment`.
+export function pointsForBezier(start, cp1, cp2, end, res, len, tol) {
+  return pointsForSegment({
+    type: 'cubic',
+    start: start,
+    cp1: cp1,
+    cp2: cp2,
+    end: end
+  }, res, len, tol);
+}
+
 
-  return getPoints(stepFn, steps);
+// Generates a quadratic bezier curve from `start` to `end` with the control
+// point `cp` and interpolates it in the same way as `pointsForBezier`.
+export function pointsForQuadratic(start, cp, end, res, len, tol) {
+  return pointsForSegment({
+    type: 'quadratic',
+    start: start,
+    cp1: cp,
+    end: end
+  }, res, len, tol);
 }
 
 
@@ -308,24 +596,28 @@ export function pointsForBezier(start, cp1, cp2, end, res, len) {
 // radii in `rads.x/y`. Specify other SVG arc flags in `rot`, `lrg` and 
 // `swp`. Set the computation resolution in `res` and the desired length of
 // segments in `len`. The points returned will be no closer than 
-// `len` from eachother.
-export function pointsForArc(start, rads, rot, lrg, swp, end, res, len) {
-  let arcFn = pointOnArc.bind(this, start, rads.x, rads.y, rot, lrg, swp, end),
-    stepFn = generateLinearCurve(res, arcFn),
-    steps = nsteps(arcFn, res, len);
-
-  return getPoints(stepFn, steps);
+// `len` from eachother. Give a tolerance in `tol` to subdivide the arc
+// adaptively as for `pointsForBezier`.
+export function pointsForArc(start, rads, rot, lrg, swp, end, res, len, tol) {
+  return pointsForSegment({
+    type: 'arc',
+    start: start,
+    rads: rads,
+    rot: rot,
+    lrg: lrg,
+    swp: swp,
+    end: end
+  }, res, len, tol);
 }
 
 
 // Generates a straight line from `start` to `end` and calculates the positions
-// of a number of `len` spaced points along the line.
+// of a number of `len` spaced points along the line, where `len` is a number
+// or a function `(x, y) => length`.
 export function pointsForLine(start, end, len) {
-  let lineFn = pointOnLine.bind(this, start, end),
-    length = distance(start, end),
-    steps = Math.floor(length / len);
-
-  return getPoints(lineFn, steps);
+  return pointsForSegment({
+    type: 'line',
+    start: start,
+    end: end
+  }, 0, len);
 }
-
-
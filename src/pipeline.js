@@ -0,0 +1,79 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Pipeline
+ * Runs the usual sequence of generating, filling and transforming points from
+ * a single options object, as used by the command line tool and the workers.
+ */
+
+import PointGenerator from './point-generator';
+
+import {
+  inkSpacing
+} from './raster';
+
+import {
+  EmptyShapeError
+} from './errors';
+
+
+// Generates the points for `source`, either SVG markup, path data or an image
+// as taken by `traceImage()` in raster.js, and returns the PointGenerator
+// holding them. `onProgress(phase, fraction)` is
+// called with how far through each phase the work is as it goes. Options:
+// - `resolution`, `spacing`, `tolerance`: as for the PointGenerator.
+// - `fill`: minimum and maximum edge lengths to `fillWithPoints()` with.
+// - `fillRule`: 'nonzero' or 'evenodd' to `fill()` the outline.
+// - `relax`: iterations of Lloyd relaxation to even out the fill.
+// - `scale`: amount to scale the points by.
+// - `recenter`: centre the points on 0,0, by the middle of their bounding box
+//   or by their centroid if 'centroid'.
+// - `strict`: false to skip bad commands and report them in the diagnostics
+//   instead of throwing.
+// Errors thrown keep the diagnostics reported before them in `diagnostics`.
+// - `threshold`, `ink`, `simplify`, `density`: how to trace an image, as for
+//   `generateImage()`. The `density` spacing is also used for the fill.
+export function runPipeline(source, opts, onProgress) {
+  let pgen = new PointGenerator(opts.resolution || 500, opts.spacing || 10, opts.tolerance);
+  pgen.onProgress = onProgress || null;
+  pgen.strict = opts.strict !== false;
+
+  try {
+    if (typeof source !== 'string') {
+      // The ink spacing is kept for filling and relaxing too, so it is set
+      // here rather than left to last only through `generateImage()`.
+      if (opts.density)
+        pgen.spacing = inkSpacing(source, opts.density[0], opts.density[1], opts);
+      pgen.generateImage(source, Object.assign({}, opts, {
+        density: null
+      }));
+    }
+    else if (/^\s*</.test(source))
+      pgen.generateDocument(source);
+    else
+      pgen.generate(source.trim());
+  } catch (e) {
+    e.diagnostics = pgen.diagnostics;
+    throw e;
+  }
+
+  if (!pgen.points.length)
+    throw new EmptyShapeError('The input has nothing to draw');
+
+  if (opts.fill)
+    pgen.fillWithPoints(opts.fill[0], opts.fill[1]);
+  if (opts.fillRule)
+    pgen.fill(opts.fillRule);
+  if (opts.relax)
+    pgen.relax(opts.relax, opts.fillRule || 'nonzero');
+  if (opts.scale !== undefined)
+    pgen.scale(opts.scale);
+  if (opts.recenter)
+    pgen.recenter(opts.recenter === 'centroid' ? 'centroid' : 'bbox', opts.fillRule || 'nonzero');
+
+  return pgen;
+}
@@ -13,54 +13,497 @@
 import {
   pointsForLine,
   pointsForBezier,
-  pointsForArc
+  pointsForQuadratic,
+  pointsForArc,
+  linearCurveForSegment
 } from './paths';
 
-import Delaunay from 'delaunay-fast';
+import {
+  segmentsFor
+} from './segments';
+
+import {
+  parseDocument
+} from './document';
+
+import {
+  insideAny,
+  lattice
+} from './fill';
+
+import {
+  seededRandom
+} from './random';
+
+import {
+  morph
+} from './morph';
+
+import {
+  toSVG as svgExport,
+  toJSON as jsonExport,
+  fromJSON as jsonImport,
+  toBuffers as buffersExport,
+  toCSV as csvExport,
+  toPolylines as polylinesExport,
+  toGCode as gcodeExport
+} from './export';
+
+import {
+  drawingOrder
+} from './order';
+
+import {
+  neighbourGraph,
+  voronoiCells,
+  cellCentroid
+} from './voronoi';
+
+import {
+  parsePath,
+  toAbsolute
+} from './parser';
+
+import {
+  boundsOf,
+  geometryOf
+} from './geometry';
+
+import {
+  validateCommands,
+  validateOptions,
+  validateCount
+} from './validate';
+
+import {
+  OptionError,
+  EmptyShapeError
+} from './errors';
+
+import {
+  identity,
+  multiply,
+  apply,
+  inverse,
+  translation,
+  scaling,
+  rotation,
+  skewing,
+  fitting,
+  transformCommands
+} from './matrix';
+
+import {
+  delaunay,
+  meshOf
+} from './mesh';
+
+import {
+  strokeOutline,
+  rings
+} from './offset';
+
+import {
+  combine
+} from './boolean';
+
+import {
+  traceImage,
+  inkSpacing
+} from './raster';
+
+import SpatialHash from './spatial-hash';
+
+
+// Returns copies of the points of each subpath so that they can be moved
+// independently of the generated points.
+function copyOutline(subpaths) {
+  return subpaths.map(pts => pts.map(p => {
+    return {
+      x: p.x,
+      y: p.y
+    };
+  }));
+}
+
+
+// Finishes describing the boundary points `pts` of the subpath with index
+// `subpath`. Normals are the tangents turned a quarter so that they point out
+// of the area the subpath encloses.
+function describeBoundary(pts, subpath) {
+  let area = 0;
+  pts.forEach((p, idx) => {
+    let q = pts[(idx + 1) % pts.length];
+    area += p.x * q.y - q.x * p.y;
+  });
+  let sign = area < 0 ? -1 : 1;
+
+  pts.forEach(p => {
+    p.subpath = subpath;
+    p.normal = {
+      x: sign * p.tangent.y,
+      y: -sign * p.tangent.x
+    };
+    p.role = 'boundary';
+  });
+
+  return pts;
+}
+
+
+// Returns the matrix doing `m` about the point `pivot`, if given, rather than
+// the origin.
+function about(m, pivot) {
+  if (!pivot)
+    return m;
+  return multiply(translation(pivot.x, pivot.y), multiply(m, translation(-pivot.x, -pivot.y)));
+}
+
+
+// Returns a copy of the described point `p` transformed by `m`. Tangents stay
+// along the path and normals at right angles to it pointing out, with
+// curvature following the stretch along the path. Distances along the path are
+// only scaled by the overall change in size, which is exact unless the
+// transform squashes or skews the points.
+function transformPoint(m, p) {
+  let q = Object.assign({}, p, apply(m, p));
+
+  if (p.tangent) {
+    let det = m.a * m.d - m.b * m.c,
+      t = {
+        x: m.a * p.tangent.x + m.c * p.tangent.y,
+        y: m.b * p.tangent.x + m.d * p.tangent.y
+      },
+      stretch = Math.sqrt(t.x * t.x + t.y * t.y) || 1;
+    q.tangent = {
+      x: t.x / stretch,
+      y: t.y / stretch
+    };
+    if (p.curvature !== undefined)
+      q.curvature = p.curvature * det / Math.pow(stretch, 3);
+    if (p.distance !== undefined)
+      q.distance = p.distance * Math.sqrt(Math.abs(det));
+  }
+
+  // Normals follow the inverse transpose so they stay square to the path.
+  if (p.normal) {
+    let n = {
+        x: m.d * p.normal.x - m.b * p.normal.y,
+        y: -m.c * p.normal.x + m.a * p.normal.y
+      },
+      norm = Math.sqrt(n.x * n.x + n.y * n.y) || 1;
+    if (m.a * m.d - m.b * m.c < 0) {
+      n.x = -n.x;
+      n.y = -n.y;
+    }
+    q.normal = {
+      x: n.x / norm,
+      y: n.y / norm
+    };
+  }
+
+  return q;
+}
+
+
+// Returns the boundary points among `points` split into a list for each
+// subpath, in order around it. Subpaths with too few points left to enclose
+// anything are left out.
+function boundaryChains(points) {
+  let chains = [],
+    chain = null;
+  points.forEach(p => {
+    if (p.role !== 'boundary')
+      return;
+    if (!chain || chain[0].subpath !== p.subpath) {
+      chain = [];
+      chains.push(chain);
+    }
+    chain.push(p);
+  });
+  return chains.filter(c => c.length > 2);
+}
+
+
+// Returns commands drawing each subpath of the `outline` as straight lines.
+function outlineCommands(outline) {
+  let commands = [];
+  outline.forEach(shape => shape.forEach(poly => {
+    poly.forEach((p, idx) => commands.push({
+      code: idx ? 'L' : 'M',
+      x: p.x,
+      y: p.y
+    }));
+    if (poly.length)
+      commands.push({
+        code: 'Z',
+        x: poly[0].x,
+        y: poly[0].y
+      });
+  }));
+  return commands;
+}
+
+
+// Returns whether `p` and `q` are the same point give or take rounding.
+function samePoint(p, q) {
+  return Math.abs(p.x - q.x) < 1e-9 && Math.abs(p.y - q.y) < 1e-9;
+}
+
+
+// Returns the angle in radians the path turns through going from the unit
+// tangent `t0` to `t1`.
+function turn(t0, t1) {
+  return Math.acos(Math.max(-1, Math.min(1, t0.x * t1.x + t0.y * t1.y)));
+}
+
+
+// Marks the points `pts` as filling the inside of the shape.
+function describeFill(pts) {
+  pts.forEach(p => p.role = 'fill');
+  return pts;
+}
 
 
 class PointGenerator {
 
   // Create a new PointGenerator with the given resolution and segment length.
-  // Generated points will be at a minimum `length` apart. Resolution improves
-  // the accuracy at the expense of computation time.
-  constructor(resolution, length) {
+  // Problems with the commands given to it throw, unless `this.strict` is
+  // turned off in which case they are reported in `this.diagnostics` and the
+  // offending commands skipped.
+  //
+  // Where the path turns through more than `this.cornerAngle` radians, 20
+  // degrees unless changed, the vertex is kept as a corner.
+  //
+  // Set `this.spacing` to a function `(x, y) => length` to space the points
+  // differently around each position of the path as given instead of always
+  // `length` apart. See spacing.js for some ready made ones.
+  //
+  // Generated points will be at a minimum `length` apart. Curves are measured
+  // by subdividing them until they are accurate to within `tolerance`, by
+  // default a hundredth of `length`, with resolution capping the number of
+  // pieces each curve is split into. Pass a tolerance of 0 to measure every
+  // curve with exactly `resolution` pieces instead.
+  constructor(resolution, length, tolerance = length / 100) {
     this.res = resolution;
     this.len = length;
-    this.points = [];
-    this.center = {
+    this.tol = tolerance;
+    this.onProgress = null;
+    this.strict = true;
+    this.diagnostics = [];
+    this.cornerAngle = Math.PI / 9;
+    this.spacing = null;
+    this.origin = {
       x: 0,
       y: 0
     };
+    this.localPoints = [];
+    this.localGroups = {};
+    this.localOutline = [];
+    this.localCommands = [];
+    this.transform = identity();
+    this.cache = null;
+  }
+
+
+  // The generated points with the transform applied. Points, the outline and
+  // groups are all kept as generated and only transformed when asked for,
+  // after which the same transformed points are returned until something
+  // changes.
+  get points() {
+    return this.transformed().points;
+  }
+
+
+  // The outline of each shape with the transform applied, as lists of points
+  // for each subpath.
+  get outline() {
+    return this.transformed().outline;
+  }
+
+
+  // The points of each shape generated from a document, keyed by its id, with
+  // the transform applied.
+  get groups() {
+    return this.transformed().groups;
+  }
+
+
+  // Where the transform moves the origin of the generated points, which
+  // `generate()` puts at the middle of the shape.
+  get center() {
+    return {
+      x: this.transform.e,
+      y: this.transform.f
+    };
   }
 
 
-  // Scales all points in or out by `amt`.
-  scale(amt) {
-    this.points.forEach(p => {
-      p.x *= amt;
-      p.y *= amt;
+  // Returns the transformed points, outline and groups, only working them out
+  // again when the generated points or the transform have changed.
+  transformed() {
+    let cache = this.cache;
+    if (cache && cache.transform === this.transform && cache.points === this.localPoints &&
+      cache.outline === this.localOutline && cache.groups === this.localGroups)
+      return cache.result;
+
+    let m = this.transform,
+      moved = new Map(),
+      points = this.localPoints.map(p => {
+        let q = transformPoint(m, p);
+        moved.set(p, q);
+        return q;
+      }),
+      groups = {};
+    Object.keys(this.localGroups).forEach(id => {
+      groups[id] = this.localGroups[id].map(p => moved.get(p) || transformPoint(m, p));
     });
+
+    this.cache = {
+      transform: m,
+      points: this.localPoints,
+      outline: this.localOutline,
+      groups: this.localGroups,
+      result: {
+        points: points,
+        outline: this.localOutline.map(shape => shape.map(poly => poly.map(p => apply(m, p)))),
+        groups: groups
+      }
+    };
+    return this.cache.result;
+  }
+
+
+  // Reports that `fraction` of the work in `phase` is done by calling
+  // `this.onProgress`, if it has been set, with both.
+  progress(phase, fraction) {
+    if (this.onProgress)
+      this.onProgress(phase, fraction);
+  }
+
+
+  // Returns a function for a loop to call with how far through it is, from 0
+  // to 1, which reports that as the part of `phase` from `from` to `to`. It
+  // only passes on steps of at least a hundredth so it can be called on every
+  // turn of the loop.
+  progressBetween(phase, from = 0, to = 1) {
+    let last = from;
+    return fraction => {
+      let at = from + (to - from) * fraction;
+      if (at - last >= 0.01) {
+        last = at;
+        this.progress(phase, at);
+      }
+    };
+  }
+
+
+  // Returns every point of the outline, as generated, in a single array.
+  outlinePoints() {
+    return [].concat.apply([], [].concat.apply([], this.localOutline));
+  }
+
+
+  // Calls `fn` with every generated point and every point of the outline so
+  // they can be moved together, before the transform.
+  eachPoint(fn) {
+    this.localPoints.forEach(fn);
+    this.localOutline.forEach(shape => shape.forEach(poly => poly.forEach(fn)));
+    this.cache = null;
+  }
+
+
+  // Adds the matrix `m`, as `{a, b, c, d, e, f}`, to the end of the
+  // transform. The generated points are left alone and the transform is kept
+  // when generating again.
+  applyMatrix(m) {
+    this.transform = multiply(m, this.transform);
     return this;
   }
 
 
   // Shifts all points by the amounts specified.
   translate(x, y) {
-    this.center.x += x;
-    this.center.y += y;
-    this.points.forEach(p => {
-      p.x += x;
-      p.y += y;
-    });
+    return this.applyMatrix(translation(x, y));
+  }
+
+
+  // Scales all points in or out by `x`, or by `x` across and `y` down, about
+  // the point `pivot`, by default the origin.
+  scale(x, y = x, pivot) {
+    return this.applyMatrix(about(scaling(x, y), pivot));
+  }
+
+
+  // Rotates all points clockwise by `angle` degrees about the point `pivot`,
+  // by default the origin.
+  rotate(angle, pivot) {
+    return this.applyMatrix(about(rotation(angle), pivot));
+  }
+
+
+  // Skews all points by `x` degrees along the x axis and `y` degrees along the
+  // y axis, about the point `pivot`, by default the origin.
+  skew(x, y = 0, pivot) {
+    return this.applyMatrix(about(skewing(x, y), pivot));
+  }
+
+
+  // Scales and moves the points so that their outline fits the rectangle
+  // `box`, `{x, y, width, height}`, as the SVG `preserveAspectRatio` value
+  // `aspect` would, by default 'xMidYMid meet'. Use 'none' to stretch it to
+  // fill the box or a 'slice' to cover the box.
+  fitTo(box, aspect) {
+    return this.applyMatrix(fitting(this.bbox(), box, aspect));
+  }
+
+
+  // Removes the transform so the points are as generated.
+  resetTransform() {
+    this.transform = identity();
+    return this;
+  }
+
+
+  // Replaces the transform with its inverse, which undoes whatever it did.
+  invertTransform() {
+    let m = inverse(this.transform);
+    if (!m)
+      throw new OptionError('The transform flattens the points and can\'t be inverted', 'transform');
+    this.transform = m;
     return this;
   }
 
 
+  // Returns the distance wanted between points around the generated point `p`,
+  // from `this.spacing` if it is set and otherwise `this.len`.
+  spacingAt(p) {
+    if (!this.spacing)
+      return this.len;
+
+    let x = p.x + this.origin.x,
+      y = p.y + this.origin.y,
+      len = this.spacing(x, y);
+    if (!(len > 0))
+      throw new OptionError(`Spacing must be a positive number, not ${len} at ${x}, ${y}`, 'spacing');
+    return len;
+  }
+
+
+  // Returns the spacing to sample paths with, either `this.len` or a function
+  // of the position along them.
+  stepLength() {
+    return this.spacing ? (x, y) => this.spacingAt({
+      x: x,
+      y: y
+    }) : this.len;
+  }
+
+
   // Returns all points on the line from `start` to `end` separated by at least
   // the length provided on construction.
   line(start, end) {
-    return pointsForLine(start, end, this.len);
+    return pointsForLine(start, end, this.stepLength());
   }
 
 
@@ -68,25 +511,44 @@ class PointGenerator {
   // arc specification and will ensure that the points returned will be at least
   // as far apart as provided on construction.
   arc(start, end, rad, rot, lrg, swp) {
-    return pointsForArc(start, rad, rot, lrg, swp, end, this.res, this.len);
+    return pointsForArc(start, rad, rot, lrg, swp, end, this.res, this.stepLength(), this.tol);
   }
 
 
   // Returns all of the points on the cubic bezier curve specified. It will
   // ensure that all of the points are at least `this.len` apart.
   curve(start, end, cp1, cp2) {
-    return pointsForBezier(start, cp1, cp2, end, this.res, this.len);
+    return pointsForBezier(start, cp1, cp2, end, this.res, this.stepLength(), this.tol);
+  }
+
+
+  // Returns all of the points on the quadratic bezier curve specified. It will
+  // ensure that all of the points are at least `this.len` apart.
+  quadratic(start, end, cp) {
+    return pointsForQuadratic(start, cp, end, this.res, this.stepLength(), this.tol);
   }
 
 
-  // Returns the current bounding box for the whole object.
-  bbox() {
-    const first = this.points[0];
+  // Returns the current bounding box for the whole object, after the
+  // transform, or of `points` if given. The box of the whole object is exact,
+  // found from the curves of the shape rather than the points along them.
+  bbox(points) {
+    if (!points) {
+      let bounds = boundsOf(this.shapeCommands());
+      if (bounds)
+        return bounds;
+      points = this.points;
+    }
+
+    if (!points.length)
+      throw new EmptyShapeError('There are no points to measure');
+
+    const first = points[0];
     let xmin = first.x,
       xmax = first.x,
       ymin = first.y,
       ymax = first.y;
-    this.points.forEach(p => {
+    points.forEach(p => {
       xmin = (p.x < xmin) ? p.x : xmin;
       xmax = (p.x > xmax) ? p.x : xmax;
       ymin = (p.y < ymin) ? p.y : ymin;
@@ -101,16 +563,40 @@ class PointGenerator {
   }
 
 
-  // Shift all points so the center of mass is at 0,0
-  recenter() {
+  // Shift all points so the middle of the bounding box is at 0,0, or the
+  // centre of mass of the shape filled under the SVG fill rule `rule` if
+  // `mode` is 'centroid'.
+  recenter(mode = 'bbox', rule = 'nonzero') {
+    if (mode !== 'bbox' && mode !== 'centroid')
+      throw new OptionError(`Unknown recenter mode '${mode}'`, 'mode');
+    if (!this.localPoints.length)
+      return this;
+
+    if (mode === 'centroid') {
+      const centroid = this.geometry(rule).centroid;
+      return this.translate(-centroid.x, -centroid.y);
+    }
+
     const bbox = this.bbox();
-    const xshift = bbox.x + (bbox.width / 2);
-    const yshift = bbox.y + (bbox.height / 2);
-    this.points.forEach(p => {
-      p.x -= xshift;
-      p.y -= yshift;
-    });
-    return this;
+    return this.translate(-(bbox.x + bbox.width / 2), -(bbox.y + bbox.height / 2));
+  }
+
+
+  // Returns absolute commands drawing the shape after the transform. Shapes
+  // loaded from JSON are drawn from their outline.
+  shapeCommands() {
+    let commands = this.localCommands;
+    if (!commands.length)
+      commands = outlineCommands(this.localOutline);
+    return transformCommands(this.transform, commands);
+  }
+
+
+  // Returns the exact bounds, area, perimeter and centroid of the shape and of
+  // each of its subpaths after the transform, filled under the SVG fill rule
+  // `rule`. See `geometryOf()` in geometry.js.
+  geometry(rule = 'nonzero') {
+    return geometryOf(this.shapeCommands(), rule);
   }
 
 
@@ -121,159 +607,805 @@ class PointGenerator {
 
 
   // Returns a new array without points that were too close together from
-  // `points`. Optionally specify a tolerance to allow more points in.
-  clean(points, tolerance = 0) {
-    // Compute the square here so we don't have to square root for the distance
-    // between points on every pass.
-    let minDist = Math.pow(this.len - tolerance, 2);
-
-    // First make an array of all pairs of points that are too close together.
-    let pairs = [];
-    points.forEach((p1, idx1) => points.forEach((p2, idx2) => {
-      if (idx1 !== idx2 && this.qdist(p1, p2) < minDist)
-        pairs.push({
-          p1: idx1,
-          p2: idx2
-        });
-    }));
-
-    // Remove any duplicates, we only want to remove one point for each pair.
-    pairs = pairs.reduce((p, c) => {
-      return (p.includes(c.p1) || p.includes(c.p2)) ? p : p.concat(c.p2);
-    }, []);
+  // `points`. Optionally specify a tolerance to allow more points in. Points
+  // are kept in order unless one already kept lies within the minimum
+  // distance, which is looked up in a spatial hash of the kept points.
+  // Corners are always kept and the points around them give way instead.
+  // With a spacing field each point needs its own spacing around it. The
+  // distances are shrunk a touch so points sampled exactly that far apart
+  // aren't dropped over rounding errors.
+  // `report`, if given, is called with how far through the points it is.
+  clean(points, tolerance = 0, report) {
+    let minDist = Math.abs(this.len - tolerance) * (1 - 1e-9),
+      radius = p => this.spacing ? Math.abs(this.spacingAt(p) - tolerance) * (1 - 1e-9) : minDist;
+    if (minDist === 0 && !this.spacing)
+      return points.slice();
 
-    // Remove those points from the array.
-    return points.filter((p, idx) => !pairs.includes(idx));
+    let grid = new SpatialHash(minDist || this.len || 1);
+    points.forEach(p => {
+      if (p.corner)
+        grid.insert(p);
+    });
+    return points.filter((p, idx) => {
+      if (report)
+        report(idx / points.length);
+      if (p.corner)
+        return true;
+      if (grid.hasNear(p, radius(p)))
+        return false;
+      grid.insert(p);
+      return true;
+    });
   }
 
 
   // Returns a list of lines corresponding to the edges of triangles that would
   // tile to fill the entire object. `minLength` and `maxLength` restrict the
   // length of the lines so as to not intrude in the empty space for non-convex
-  // shapes.
-  tessellate(minLength, maxLength) {
+  // shapes. The transformed points are used unless others are given in
+  // `points`.
+  tessellate(minLength, maxLength, points = this.points) {
     // Square these here to save computation.
     let min = Math.pow(minLength, 2),
       max = Math.pow(maxLength, 2);
 
-    // Convert the point array to an array of arrays first.
-    let vertices = Delaunay.triangulate(this.points.map(p => [p.x, p.y]));
-    let triangles = [];
+    this.progress('tessellating', 0);
+
+    let vertices = delaunay(points);
+
+    // Turn the triangles into a list of lines, only once for the edges shared
+    // by two triangles.
+    let lines = [],
+      seen = new Set();
     for (let i = 0; i < vertices.length; i += 3) {
-      let p1 = this.points[vertices[i]],
-        p2 = this.points[vertices[i + 1]],
-        p3 = this.points[vertices[i + 2]];
-      triangles.push({
-        p1: p1,
-        p2: p2,
-        p3: p3
+      [[0, 1], [0, 2], [1, 2]].forEach(pair => {
+        let a = vertices[i + pair[0]],
+          b = vertices[i + pair[1]],
+          key = a < b ? `${a},${b}` : `${b},${a}`,
+          d = this.qdist(points[a], points[b]);
+        if (d > min && d < max && !seen.has(key)) {
+          seen.add(key);
+          lines.push({
+            p1: points[a],
+            p2: points[b]
+          });
+        }
       });
     }
 
-    // Turn the triangles into a list of lines.
-    let lines = triangles
-      .map(t => {
-        let d1 = this.qdist(t.p1, t.p2),
-          d2 = this.qdist(t.p1, t.p3),
-          d3 = this.qdist(t.p2, t.p3);
-        let res = [];
-        if (d1 > min && d1 < max)
-          res.push({
-            p1: t.p1,
-            p2: t.p2
-          });
-        if (d2 > min && d2 < max)
-          res.push({
-            p1: t.p1,
-            p2: t.p3
-          });
-        if (d3 > min && d3 < max)
-          res.push({
-            p1: t.p2,
-            p2: t.p3
-          });
-        return res;
-      })
-      .reduce((prev, cur) => prev.concat(cur));
-
+    this.progress('tessellating', 1);
     return lines;
   }
 
 
+  // Returns the boundary points of each shape, or of all the points if there
+  // are no groups, split into a list for each subpath in order around it.
+  boundaryShapes() {
+    let points = this.points,
+      groups = this.groups,
+      ids = Object.keys(groups);
+    return (ids.length ? ids.map(id => groups[id]) : [points]).map(boundaryChains);
+  }
+
+
+  // Returns a triangle mesh of the points which follows the outline, for
+  // rendering the filled shape. Triangles are kept inside the shape under the
+  // SVG fill rule `rule`, either 'nonzero' or 'evenodd', so none cross the
+  // boundary or cover holes, and boundary edges the triangulation would miss
+  // are split with extra vertices. Any it still misses are reported in
+  // `this.diagnostics`. See `meshOf()` in mesh.js.
+  mesh(rule = 'nonzero') {
+    let mesh = meshOf(this.points, this.boundaryShapes(), rule);
+    if (mesh.missing.length)
+      this.diagnostics.push({
+        severity: 'warning',
+        message: `The mesh misses ${mesh.missing.length / 2} pieces of the boundary`
+      });
+    return mesh;
+  }
+
+
+  // Returns the neighbours of each point as a list of indices into
+  // `this.points`, the points it is joined to by the edges of the mesh made
+  // under the SVG fill rule `rule` as for `mesh()`. Since the mesh follows the
+  // outline, points either side of a gap or notch in the shape are not
+  // neighbours. The vertices the mesh adds along the boundary are left out,
+  // and each boundary point neighbours those either side of it instead.
+  // Without any boundary every edge of the Delaunay triangulation is used.
+  neighbours(rule = 'nonzero') {
+    let points = this.points,
+      shapes = this.boundaryShapes();
+    if (!shapes.some(shape => shape.length))
+      return neighbourGraph(points.length, delaunay(points));
+
+    let mesh = meshOf(points, shapes, rule),
+      index = new Map(),
+      sets = points.map(() => new Set()),
+      join = (a, b) => {
+        sets[a].add(b);
+        sets[b].add(a);
+      };
+    points.forEach((p, idx) => index.set(p, idx));
+
+    // Edges are listed with the lower index first.
+    for (let i = 0; i < mesh.edges.length; i += 2)
+      if (mesh.edges[i + 1] < points.length)
+        join(mesh.edges[i], mesh.edges[i + 1]);
+    shapes.forEach(shape => shape.forEach(chain => chain.forEach((p, idx) => {
+      join(index.get(p), index.get(chain[(idx + 1) % chain.length]));
+    })));
+
+    return sets.map(set => Array.from(set).sort((a, b) => a - b));
+  }
+
+
+  // Returns the Voronoi cell of each point, in the order of `this.points`, cut
+  // down to the outline filled under the SVG fill rule `rule`. Each cell is a
+  // list of polygons, usually one, as described for `voronoiCells()` in
+  // voronoi.js.
+  voronoi(rule = 'nonzero') {
+    return voronoiCells(this.points, this.outline, rule);
+  }
+
+
+  // Evens out the spacing of the fill points by Lloyd relaxation, moving each
+  // to the centroid of its Voronoi cell within the outline, `iterations`
+  // times. Boundary points stay where they are. With a spacing field the
+  // centroids are weighted to keep the points packed as it asks. The work is
+  // done before the transform, like the spacing of the points.
+  relax(iterations = 1, rule = 'nonzero') {
+    let density = this.spacing ? (x, y) => 1 / Math.pow(this.spacingAt({
+      x: x,
+      y: y
+    }), 2) : null;
+
+    for (let i = 0; i < iterations; i++) {
+      this.progress('relaxing', i / iterations);
+      let points = this.localPoints,
+        cells = voronoiCells(points, this.localOutline, rule);
+      points.forEach((p, idx) => {
+        if (p.role !== 'fill')
+          return;
+        let c = cellCentroid(cells[idx], density);
+        if (c) {
+          p.x = c.x;
+          p.y = c.y;
+        }
+      });
+    }
+    this.cache = null;
+    this.progress('relaxing', 1);
+
+    return this;
+  }
+
+
   // Fills the internal list of points with more points by tessellating the
   // existing points, finding the halfway mark on each edge then cleaning them
-  // up again to prevent overlaps.
+  // up again to prevent overlaps. The thresholds are measured before the
+  // transform, like the spacing of the points.
   fillWithPoints(minThreshold, maxThreshold) {
-    let lines = this.tessellate(minThreshold, maxThreshold)
+    this.progress('filling', 0);
+    let lines = this.tessellate(minThreshold, maxThreshold, this.localPoints)
       .map(l => {
         return {
           x: l.p1.x + (l.p2.x - l.p1.x) / 2,
-          y: l.p1.y + (l.p2.y - l.p1.y) / 2
+          y: l.p1.y + (l.p2.y - l.p1.y) / 2,
+          role: 'fill'
         };
       });
 
-    this.points = this.points.concat(lines);
-    this.points = this.clean(this.points);
+    this.localPoints = this.localPoints.concat(lines);
+    this.localPoints = this.clean(this.localPoints, 0, this.progressBetween('filling'));
+    this.progress('filling', 1);
 
     return this;
   }
 
 
-  // Generates an array of points for the provided SVG commands.
-  generate(commands) {
-    this.points = [];
-    let cur = commands[0];
-    for (let cmd of commands) {
-      let pts = [];
+  // Returns candidate fill points over `bbox` for the spacing field. The box
+  // is cut into tiles eight lengths wide, each covered by a triangular lattice
+  // as tight as the tightest spacing found in it on the `outline` or on a
+  // lattice `this.len` apart, so the candidates keep in step with the points
+  // that cleaning leaves rather than with the tightest spot of the whole shape.
+  fieldLattice(bbox, outline) {
+    let size = this.len * 8,
+      cols = Math.max(1, Math.ceil(bbox.width / size)),
+      rows = Math.max(1, Math.ceil(bbox.height / size)),
+      tightest = new Map(),
+      pts = [];
 
-      switch (cmd.code) {
+    outline.concat(lattice(bbox, this.len)).forEach(p => {
+      let key = `${Math.min(cols - 1, Math.floor((p.x - bbox.x) / size))},${Math.min(rows - 1, Math.floor((p.y - bbox.y) / size))}`,
+        spacing = this.spacingAt(p);
+      if (!(tightest.get(key) <= spacing))
+        tightest.set(key, spacing);
+    });
 
-        case 'M': // Do nothing as we update the cur later.
-          break;
+    // Spacings are rounded down to `this.len` halved or doubled some number of
+    // times, and every lattice starts from the corner of the box, so a coarser
+    // tile's points line up with its finer neighbour's instead of leaving gaps
+    // along the seam. Each tile keeps the points up to but not on its far edges.
+    for (let i = 0; i < cols; i++)
+      for (let j = 0; j < rows; j++) {
+        let spacing = this.len * Math.pow(2, Math.floor(Math.log2((tightest.get(`${i},${j}`) || this.len) / this.len))) * (1 + 1e-9),
+          rowHeight = spacing * Math.sqrt(3) / 2,
+          left = i * size,
+          right = i === cols - 1 ? bbox.width : left + size,
+          top = j * size,
+          bottom = j === rows - 1 ? bbox.height : top + size;
+        for (let row = Math.ceil(top / rowHeight); j === rows - 1 ? row * rowHeight <= bottom : row * rowHeight < bottom; row++) {
+          let shift = row % 2 ? spacing / 2 : 0;
+          for (let col = Math.ceil((left - shift) / spacing); i === cols - 1 ? col * spacing + shift <= right : col * spacing + shift < right; col++)
+            pts.push({
+              x: bbox.x + col * spacing + shift,
+              y: bbox.y + row * rowHeight
+            });
+        }
+      }
 
-        case 'L': // Line
-          pts = this.line(cur, cmd);
-          break;
+    return pts;
+  }
 
-        case 'V': // Vertical Line
-          pts = this.line(cur, {
-            x: cur.x,
-            y: cmd.y
-          });
-          break;
 
-        case 'H': // Horizontal Line
-          pts = this.line(cur, {
-            x: cmd.x,
-            y: cur.y
-          });
-          break;
+  // Fills the inside of the outline with evenly spaced points. A point is
+  // inside according to the SVG fill rule `rule`, either 'nonzero' or
+  // 'evenodd', so holes are left empty whatever the shape. Candidates on a
+  // triangular lattice `this.len` apart are cleaned up against the boundary.
+  // With a spacing field the lattice is laid tile by tile by `fieldLattice()`
+  // and cleaning thins it out.
+  fill(rule = 'nonzero') {
+    let outline = this.outlinePoints();
+    if (!outline.length)
+      return this;
+
+    // Spread the lattice a touch so rounding doesn't make neighbours too close.
+    // Most of the work is in finding which candidates are inside.
+    this.progress('filling', 0);
+    let bbox = this.bbox(outline),
+      candidates = this.spacing ? this.fieldLattice(bbox, outline) : lattice(bbox, this.len * (1 + 1e-9)),
+      testing = this.progressBetween('filling', 0, 0.8),
+      inside = candidates.filter((p, idx) => {
+        testing(idx / candidates.length);
+        return insideAny(this.localOutline, p, rule);
+      });
+    describeFill(inside);
+
+    this.localPoints = this.clean(this.localPoints.concat(inside), 0, this.progressBetween('filling', 0.8, 1));
+    this.progress('filling', 1);
+
+    return this;
+  }
+
+
+  // Fills the inside of the outline so that there are exactly `total` points
+  // including the boundary. The spacing of the triangular lattice used by
+  // `fill()` is searched for until there are at least enough points inside
+  // under the fill rule `rule`, then any extra are thinned out, spread apart
+  // from each other across the shape so no part of it is left sparser.
+  fillToCount(total, rule = 'nonzero') {
+    validateCount(total, 'total');
+    let needed = total - this.localPoints.length;
+    if (needed < 0)
+      throw new OptionError(`There are already ${this.localPoints.length} boundary points, more than ${total}`, 'total');
+    if (needed === 0)
+      return this;
+
+    const bbox = this.bbox(this.outlinePoints());
+
+    // Lattice points inside the shape and not too close to the boundary.
+    let candidates = spacing => {
+      let grid = new SpatialHash(spacing);
+      this.localPoints.forEach(p => grid.insert(p));
+      return lattice(bbox, spacing)
+        .filter(p => !grid.hasNear(p, spacing / 2) && insideAny(this.localOutline, p, rule));
+    };
+
+    // Find a spacing dense enough to begin with, then bisect towards the
+    // sparsest one that still is.
+    let lo = Math.sqrt(bbox.width * bbox.height / needed) || this.len,
+      hi = lo,
+      pts = candidates(lo);
+    for (let i = 0; pts.length < needed; i++) {
+      if (i > 20)
+        throw new EmptyShapeError('The shape has no room inside for any points');
+      hi = lo;
+      lo /= 2;
+      pts = candidates(lo);
+    }
+    if (hi === lo)
+      hi = lo * 2;
+
+    for (let i = 0; i < 20; i++) {
+      let mid = (lo + hi) / 2,
+        midPts = candidates(mid);
+      if (midPts.length >= needed) {
+        lo = mid;
+        pts = midPts;
+      } else {
+        hi = mid;
+      }
+    }
+
+    // Drop the extra points no nearer each other than they would be if spread
+    // evenly, easing off until enough are dropped.
+    let extra = pts.length - needed,
+      dropped = new Set(),
+      radius = lo * Math.sqrt(pts.length / Math.max(extra, 1));
+    while (dropped.size < extra) {
+      let grid = new SpatialHash(radius);
+      dropped.forEach(p => grid.insert(p));
+      for (let i = 0; i < pts.length && dropped.size < extra; i++) {
+        let p = pts[i];
+        if (!dropped.has(p) && !grid.hasNear(p, radius)) {
+          dropped.add(p);
+          grid.insert(p);
+        }
+      }
+      radius /= 2;
+    }
+    let inside = pts.filter(p => !dropped.has(p));
+    this.localPoints = this.localPoints.concat(describeFill(inside));
+
+    return this;
+  }
+
+
+  // Fills the inside of the outline with blue noise using Poisson disk
+  // sampling. Every point is at least `this.len`, or the spacing around it
+  // from `this.spacing`, from every other, including the existing boundary
+  // points the sampling grows out from. The layout is fully determined by `seed` so the same shape always fills the same way.
+  // `rule` is the SVG fill rule and `attempts` the number of candidates tried
+  // around each point before giving up on it.
+  fillPoisson(seed = 0, rule = 'nonzero', attempts = 30) {
+    let random = seededRandom(seed),
+      minDist = this.len,
+      grid = new SpatialHash(minDist),
+      active = this.localPoints.slice(),
+      inside = [];
+
+    this.localPoints.forEach(p => grid.insert(p));
+
+    while (active.length) {
+      let idx = Math.floor(random() * active.length),
+        p = active[idx],
+        found = false;
+
+      for (let i = 0; i < attempts && !found; i++) {
+        let angle = random() * 2 * Math.PI,
+          dist = this.spacingAt(p) * (1 + random()),
+          q = {
+            x: p.x + Math.cos(angle) * dist,
+            y: p.y + Math.sin(angle) * dist,
+            role: 'fill'
+          };
+
+        if (!grid.hasNear(q, this.spacingAt(q)) && insideAny(this.localOutline, q, rule)) {
+          grid.insert(q);
+          active.push(q);
+          inside.push(q);
+          found = true;
+        }
+      }
+
+      // Retire points with no room left around them.
+      if (!found) {
+        active[idx] = active[active.length - 1];
+        active.pop();
+      }
+    }
+
+    this.localPoints = this.localPoints.concat(inside);
+
+    return this;
+  }
+
+
+  // Returns a `tween(t)` function moving these points onto the points of
+  // `other`, another PointGenerator or array of points. See `morph()` for the
+  // options.
+  morphTo(other, options) {
+    return morph(this, other, options);
+  }
+
+
+  // Returns the points along a single segment as described by `segmentsFor()`.
+  segment(seg) {
+    switch (seg.type) {
+      case 'line':
+        return this.line(seg.start, seg.end);
+
+      case 'arc':
+        return this.arc(seg.start, seg.end, seg.rads, seg.rot, seg.lrg, seg.swp);
+
+      case 'cubic':
+        return this.curve(seg.start, seg.end, seg.cp1, seg.cp2);
+
+      case 'quadratic':
+        return this.quadratic(seg.start, seg.end, seg.cp1);
+    }
+  }
+
+
+  // Returns the drawable commands from `commands`, which may also be path
+  // data, after checking them and the generator's settings. Problems are
+  // thrown or added to `this.diagnostics` depending on `this.strict`.
+  commandsFor(commands) {
+    validateOptions(this);
+    if (typeof commands === 'string')
+      commands = parsePath(commands, this.strict ? undefined : this.diagnostics);
+    return validateCommands(commands, this.strict, this.diagnostics);
+  }
+
+
+  // Reports that the commands being generated draw nothing, which throws in
+  // strict mode.
+  drewNothing(what) {
+    if (this.strict)
+      throw new EmptyShapeError(`${what} draws nothing`);
+    this.diagnostics.push({
+      severity: 'warning',
+      message: `${what} draws nothing`
+    });
+  }
+
 
-        case 'A': // Elliptical Arc
-          pts = this.arc(cur, cmd, cmd.rads, cmd.rot, cmd.lrg, cmd.swp);
-          break;
+  // Returns the points along the provided SVG commands or path data without
+  // cleaning them up, as one array for each subpath.
+  //
+  // Along with its position each point has the index of its `subpath` and of
+  // its `segment` within the subpath, its `distance` along the subpath, unit
+  // `tangent` and outward `normal` vectors, signed `curvature` and a `role`
+  // of 'boundary'. Points added by filling have a `role` of 'fill' alone.
+  //
+  // Every vertex between segments is included once, as the first point of the
+  // segment leaving it, with the remaining points spread evenly along each
+  // segment. Vertices where the path turns sharply, and the ends of an open
+  // subpath, are marked as a `corner` which `clean()` never removes.
+  sampleSubpaths(commands) {
+    return this.sampleSegments(segmentsFor(this.commandsFor(commands)));
+  }
+
+
+  // Returns exactly `count` points spread evenly by arc length along the
+  // provided SVG commands or path data, as one array for each subpath. Each
+  // segment gets a share of the points in proportion to its length.
+  sampleSubpathsExactly(commands, count) {
+    return this.sampleSegmentsExactly(segmentsFor(this.commandsFor(commands)), count);
+  }
+
+
+  // Samples the segments of each subpath in `subpaths`, as returned by
+  // `segmentsFor()`, as described for `sampleSubpaths()`. `report`, if given,
+  // is called with how far through the segments it is.
+  sampleSegments(subpaths, report) {
+    let total = subpaths.reduce((n, segs) => n + segs.length, 0),
+      done = 0;
+    return subpaths.map((segs, subpath) => {
+      let pts = [],
+        offset = 0,
+        incoming = null;
+      segs.forEach((seg, segment) => {
+        if (report)
+          report(done++ / total);
+        let segPts = this.segment(seg),
+          start = offset;
+        offset += segPts.arcLength;
 
-        case 'C': // Cubic Bezier Curve
-          pts = this.curve(cur, cmd, cmd.cp1, cmd.cp2);
-          break;
+        // Segments with no length have no direction to turn from.
+        if (segPts.arcLength < 1e-9)
+          return;
 
-        default:
-          console.log(`Unsupported SVG command ${cmd.code}`);
-          break;
+        segPts.forEach(p => {
+          p.segment = segment;
+          p.distance += start;
+        });
+        if (incoming && turn(incoming.tangent, segPts[0].tangent) > this.cornerAngle)
+          segPts[0].corner = true;
+        incoming = segPts.pop();
+        segPts.forEach(p => pts.push(p));
+      });
+
+      if (!incoming)
+        return describeBoundary(pts, subpath);
+
+      // A closed subpath turns at its start like any other vertex while an
+      // open one keeps its last point and both ends are corners.
+      if (samePoint(incoming, pts[0])) {
+        if (turn(incoming.tangent, pts[0].tangent) > this.cornerAngle)
+          pts[0].corner = true;
+      } else {
+        pts[0].corner = true;
+        incoming.corner = true;
+        pts.push(incoming);
       }
 
-      this.points = this.points.concat(pts);
-      cur = cmd;
+      return describeBoundary(pts, subpath);
+    });
+  }
+
+
+  // Samples exactly `count` points along the segments of each subpath in
+  // `subpaths` as described for `sampleSubpathsExactly()`. `report`, if
+  // given, is called with how far through the segments it is.
+  sampleSegmentsExactly(subpaths, count, report) {
+    validateCount(count, 'count');
+    let segments = subpaths.reduce((n, segs) => n + segs.length, 0),
+      done = 0;
+    subpaths = subpaths
+      .map(segs => segs.map(seg => {
+        if (report)
+          report(done++ / segments);
+        return linearCurveForSegment(seg, this.res, this.tol);
+      }));
+    let total = subpaths.reduce((sum, curves) =>
+      curves.reduce((len, curve) => len + curve.arcLength, sum), 0);
+
+    // Points sit at fixed distances along the whole path, carried over from
+    // one segment into the next.
+    let step = total / count,
+      next = 0,
+      travelled = 0,
+      taken = 0;
+    let result = subpaths.map(curves => {
+      let pts = [],
+        start = travelled;
+      curves.forEach((curve, segment) => {
+        let end = travelled + curve.arcLength;
+        while (taken < count && next < end) {
+          let p = curve((next - travelled) / curve.arcLength);
+          p.segment = segment;
+          p.distance += travelled - start;
+          pts.push(p);
+          taken++;
+          next = taken * step;
+        }
+        travelled = end;
+      });
+      return pts;
+    });
+
+    // Rounding can leave the last few points just past the end of the path.
+    let last = subpaths[subpaths.length - 1];
+    for (; taken < count && last; taken++) {
+      let curves = last,
+        p = curves[curves.length - 1](1);
+      p.segment = curves.length - 1;
+      p.distance = curves.reduce((len, curve) => len + curve.arcLength, 0);
+      result[result.length - 1].push(p);
+    }
+
+    return result.map(describeBoundary);
+  }
+
+
+  // Returns the points along the provided SVG commands or path data without
+  // cleaning them up.
+  sample(commands) {
+    return [].concat.apply([], this.sampleSubpaths(commands));
+  }
+
+
+  // Generates an array of points for the provided SVG commands or path data.
+  // The outline of each subpath is kept in `this.outline` for filling. If
+  // `count` is given exactly that many points are spread along the path in
+  // proportion to the length of each segment instead of `this.len` apart.
+  // The transform is kept and applied to the new points.
+  generate(commands, count) {
+    this.diagnostics = [];
+    this.origin = {
+      x: 0,
+      y: 0
+    };
+    this.localCommands = toAbsolute(this.commandsFor(commands));
+    let segments = segmentsFor(this.localCommands);
+
+    this.progress('sampling', 0);
+    let sampling = this.progressBetween('sampling'),
+      subpaths = count === undefined ? this.sampleSegments(segments, sampling) :
+      this.sampleSegmentsExactly(segments, count, sampling);
+    this.localOutline = [copyOutline(subpaths)];
+    this.localPoints = [].concat.apply([], subpaths);
+    this.progress('sampling', 1);
+
+    // Clean up overlapping points, unless there are to be exactly `count`.
+    if (count === undefined) {
+      this.progress('cleaning', 0);
+      this.localPoints = this.clean(this.localPoints, 0, this.progressBetween('cleaning'));
+      this.progress('cleaning', 1);
+    }
+
+    if (!this.localPoints.length)
+      this.drewNothing('The path');
+
+    // Re-center it, leaving the transform to apply on top.
+    if (this.localPoints.length) {
+      const bbox = boundsOf(this.localCommands) || this.bbox(this.localPoints);
+      const xshift = bbox.x + (bbox.width / 2);
+      const yshift = bbox.y + (bbox.height / 2);
+      this.eachPoint(p => {
+        p.x -= xshift;
+        p.y -= yshift;
+      });
+      this.localCommands = transformCommands(translation(-xshift, -yshift), this.localCommands);
+      this.origin = {
+        x: xshift,
+        y: yshift
+      };
+    }
+
+    return this;
+  }
+
+
+  // Returns the options for offset.js and boolean.js filled in with the
+  // sampling settings, so curves are followed in pieces as long as the spacing
+  // of the points.
+  offsetOptions(options) {
+    return Object.assign({
+      step: this.len,
+      resolution: this.res,
+      tolerance: this.tol
+    }, options);
+  }
+
+
+  // Generates the points on the outline of the stroke of `commands`, `width`
+  // wide, instead of on the path itself, as `generate()` does. The options
+  // give the `join`, `cap` and `miterLimit` as for `strokeOutline()` in
+  // offset.js. The outline is a closed subpath on either side of a closed path
+  // and one around an open path, taking in its caps.
+  generateStroke(commands, width, options = {}) {
+    return this.generate(strokeOutline(commands, width, this.offsetOptions(options)));
+  }
+
+
+  // Generates the points on the shape drawn by `commands` and `count` copies of
+  // it, each `step` further out than the last, or further in if it is
+  // negative, as `generate()` does. The copies become part of the outline, so
+  // filling under the 'evenodd' rule fills every other band between them.
+  // Options are as for `offsetOutline()` in offset.js.
+  generateRings(commands, count, step, options = {}) {
+    return this.generate(rings(commands, count, step, this.offsetOptions(options)));
+  }
+
+
+  // Generates the points on the shape made by the boolean operation `op`,
+  // 'union', 'difference', 'intersection' or 'xor', on the shapes drawn by `a`
+  // and `b`, as `generate()` does, so overlapping shapes are sampled as one
+  // rather than leaving `clean()` to pick between points where they cross.
+  // Options are as for `combine()` in boolean.js.
+  generateCombined(op, a, b, options = {}) {
+    return this.generate(combine(op, a, b, this.offsetOptions(options)));
+  }
+
+
+  // Generates the points on the edges of the inked parts of the bitmap `image`
+  // as `generate()` does for a path, so they can be cleaned and filled like
+  // any other. See `traceImage()` in raster.js for the form of the image and
+  // the options. Give `options.density` as `[near, far]` to space the points
+  // by the ink, `near` apart where it is solid and `far` apart where it is
+  // blank. This lasts only for the image and `this.spacing` is left as it was;
+  // set it to `inkSpacing()` from raster.js to fill by the ink as well.
+  generateImage(image, options = {}) {
+    if (!options.density)
+      return this.generate(traceImage(image, options));
+
+    let spacing = this.spacing;
+    this.spacing = inkSpacing(image, options.density[0], options.density[1], options);
+    try {
+      return this.generate(traceImage(image, options));
+    } finally {
+      this.spacing = spacing;
     }
+  }
+
 
-    // Clean up overlapping points.
-    this.points = this.clean(this.points);
+  // Generates the points for every shape in the SVG document `markup`. Basic
+  // shapes are converted to paths and group transforms and the viewBox are
+  // applied so the points are in the coordinates of the drawing, which unlike
+  // `generate()` is not recentered. The points of each shape are also kept in
+  // `this.groups` keyed by the id of their element. The transform is kept and
+  // applied to the new points.
+  generateDocument(markup) {
+    let groups = {},
+      outline = [];
+    this.localPoints = [];
+    this.localCommands = [];
+    this.origin = {
+      x: 0,
+      y: 0
+    };
+    this.diagnostics = [];
+    let shapes = parseDocument(markup, this.strict ? undefined : this.diagnostics);
+    shapes.forEach((shape, idx) => {
+      let from = idx / shapes.length,
+        to = (idx + 1) / shapes.length;
+      this.progress('sampling', from);
+      let reported = this.diagnostics.length,
+        commands = this.commandsFor(shape.commands),
+        subpaths = this.sampleSegments(segmentsFor(commands), this.progressBetween('sampling', from, to));
+      this.diagnostics.slice(reported).forEach(d => d.element = shape.id);
+      this.localCommands = this.localCommands.concat(commands);
+      this.progress('cleaning', from);
+      let pts = this.clean([].concat.apply([], subpaths), 0, this.progressBetween('cleaning', from, to));
+      outline.push(copyOutline(subpaths));
+      groups[shape.id] = pts;
+      this.localPoints = this.localPoints.concat(pts);
+    });
+    this.localGroups = groups;
+    this.localOutline = outline;
+    this.progress('sampling', 1);
+    this.progress('cleaning', 1);
 
-    // Re-center it
-    this.recenter();
+    if (!this.localPoints.length)
+      this.drewNothing('The document');
 
     return this;
   }
+
+
+  // Returns an SVG document drawing the points as circles. Give the minimum and
+  // maximum edge lengths for `tessellate()` in `options.edges` to draw the
+  // triangle edges as well. See `toSVG()` in export.js for the other options.
+  toSVG(options = {}) {
+    let lines = options.edges ? this.tessellate(options.edges[0], options.edges[1]) : [];
+    return svgExport(this.points, lines, options);
+  }
+
+
+  // Returns the compact, versioned JSON form of the generator which can be
+  // loaded again with `PointGenerator.fromJSON()`. `JSON.stringify` uses this
+  // too.
+  toJSON(options) {
+    return jsonExport(this, options);
+  }
+
+
+  // Returns a new PointGenerator loaded from the output of `toJSON()`, either
+  // as a string or already parsed.
+  static fromJSON(json) {
+    return jsonImport(new PointGenerator(), json);
+  }
+
+
+  // Returns the points as interleaved WebGL ready buffers. `options.attributes`
+  // lists what to write for each vertex, by default only its position, and
+  // `options.edges` the minimum and maximum edge lengths of a tessellation to
+  // write as line indices. See `toBuffers()` in export.js.
+  toBuffers(options = {}) {
+    let lines = options.edges ? this.tessellate(options.edges[0], options.edges[1]) : null;
+    return buffersExport(this.points, lines, options.attributes);
+  }
+
+
+  // Returns the points and what is known about them as CSV, optionally rounded
+  // to `precision` decimal places.
+  toCSV(precision) {
+    return csvExport(this.points, precision);
+  }
+
+
+  // Returns the points in the order to draw them, as strokes around each
+  // subpath then fill points as dots. See `drawingOrder()` in order.js for the
+  // form and the options.
+  drawingOrder(options) {
+    return drawingOrder(this.points, this.groups, options);
+  }
+
+
+  // Returns an SVG document of polylines drawing the points in order. Options
+  // are those of `drawingOrder()` and `toPolylines()` in export.js.
+  toPolylines(options = {}) {
+    return polylinesExport(this.drawingOrder(options), options);
+  }
+
+
+  // Returns G-code for a plotter drawing the points in order. Options are
+  // those of `drawingOrder()` and `toGCode()` in export.js.
+  toGCode(options = {}) {
+    return gcodeExport(this.drawingOrder(options), options);
+  }
 }
 
 export default PointGenerator;
@@ -0,0 +1,37 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Random numbers
+ * A small seeded generator so random layouts can be reproduced exactly.
+ */
+
+
+// Turns a string seed into a 32 bit integer.
+function hashString(str) {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+
+// Returns a function producing numbers in [0, 1) like `Math.random` but fully
+// determined by `seed`, which may be a number or a string. This is the
+// mulberry32 generator.
+export function seededRandom(seed) {
+  let state = (typeof seed === 'string' ? hashString(seed) : seed) >>> 0;
+
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
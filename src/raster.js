@@ -0,0 +1,274 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Raster masks
+ * Reads bitmaps given as plain pixel buffers so they can be sampled like
+ * paths. Each pixel is reduced to how strongly it is inked, the edges of the
+ * inked areas are traced into closed subpaths by marching squares, and the
+ * ink can also set the spacing of the points.
+ */
+
+import {
+  polygonCommands
+} from './geometry';
+
+import {
+  FormatError,
+  OptionError
+} from './errors';
+
+
+// Returns the checked image `{width, height, data}` with the number of
+// `channels` in `data` worked out from its length: grey, grey and alpha, RGB or
+// RGBA.
+function imageInfo(image) {
+  let width = image && image.width,
+    height = image && image.height,
+    data = image && image.data;
+  if (!(width > 0 && height > 0 && width % 1 === 0 && height % 1 === 0))
+    throw new FormatError('An image needs a whole number width and height');
+  if (!data || typeof data.length !== 'number')
+    throw new FormatError('An image needs its pixels in data');
+
+  let channels = data.length / (width * height);
+  if ([1, 2, 3, 4].indexOf(channels) < 0)
+    throw new FormatError(`Image data of length ${data.length} doesn't fit ${width} by ${height} pixels`);
+
+  return {
+    width: width,
+    height: height,
+    data: data,
+    channels: channels
+  };
+}
+
+
+// Returns how strongly inked each pixel of `image` is, from 0 to 1, row by row.
+// Options:
+// - `ink`: 'dark' to take dark pixels as inked or 'light' for light ones
+//   (default 'dark').
+// - `max`: the value of a full channel (default 1 for float data and 255
+//   otherwise).
+// Transparent pixels are never inked.
+export function inkOf(image, options = {}) {
+  let info = imageInfo(image),
+    data = info.data,
+    channels = info.channels,
+    float = data instanceof Float32Array || data instanceof Float64Array,
+    max = options.max || (float ? 1 : 255),
+    ink = options.ink || 'dark',
+    values = new Float32Array(info.width * info.height);
+  if (ink !== 'dark' && ink !== 'light')
+    throw new OptionError(`Unknown ink '${ink}'`, 'ink');
+
+  for (let i = 0; i < values.length; i++) {
+    let at = i * channels,
+      lum = channels < 3 ? data[at] :
+      0.2126 * data[at] + 0.7152 * data[at + 1] + 0.0722 * data[at + 2],
+      alpha = channels === 2 || channels === 4 ? data[at + channels - 1] / max : 1;
+    lum /= max;
+    values[i] = Math.max(0, Math.min(1, (ink === 'dark' ? 1 - lum : lum) * alpha));
+  }
+  return values;
+}
+
+
+// Returns the perpendicular distance from `p` to the line through `a` and `b`.
+function offLine(p, a, b) {
+  let dx = b.x - a.x,
+    dy = b.y - a.y,
+    len = Math.sqrt(dx * dx + dy * dy);
+  if (!len)
+    return Math.sqrt(Math.pow(p.x - a.x, 2) + Math.pow(p.y - a.y, 2));
+  return Math.abs(dx * (p.y - a.y) - dy * (p.x - a.x)) / len;
+}
+
+
+// Returns the points of `pts` from `first` to `last` which the line between
+// them strays more than `tolerance` from, by Douglas-Peucker.
+function simplifyRun(pts, first, last, tolerance) {
+  let far = -1,
+    dist = tolerance;
+  for (let i = first + 1; i < last; i++) {
+    let d = offLine(pts[i], pts[first], pts[last]);
+    if (d > dist) {
+      far = i;
+      dist = d;
+    }
+  }
+  if (far < 0)
+    return [];
+  return simplifyRun(pts, first, far, tolerance)
+    .concat([pts[far]])
+    .concat(simplifyRun(pts, far, last, tolerance));
+}
+
+
+// Returns the closed polygon `pts` with the points it can do without while
+// staying within `tolerance` of itself left out.
+function simplify(pts, tolerance) {
+  if (!(tolerance > 0) || pts.length < 4)
+    return pts;
+
+  // Split the loop at its start and the point furthest from it.
+  let loop = pts.concat([pts[0]]),
+    far = 0;
+  pts.forEach((p, idx) => {
+    if (Math.pow(p.x - pts[0].x, 2) + Math.pow(p.y - pts[0].y, 2) >
+      Math.pow(pts[far].x - pts[0].x, 2) + Math.pow(pts[far].y - pts[0].y, 2))
+      far = idx;
+  });
+  return [pts[0]]
+    .concat(simplifyRun(loop, 0, far, tolerance))
+    .concat([pts[far]])
+    .concat(simplifyRun(loop, far, pts.length, tolerance));
+}
+
+
+// Returns the closed polygons around the areas of `values`, a `width` by
+// `height` grid of numbers row by row, at or above `threshold`. Each grid value
+// sits at the middle of its pixel, so (0.5, 0.5) for the first, and
+// everything beyond the edge of the grid is taken to be 0, below any
+// threshold, so a grid of values of 1 is traced along its outer edge at a
+// threshold of 0.5.
+// The polygons go clockwise in y-down coordinates around the areas and the
+// other way around the holes in them, as the boundary normals expect.
+export function contoursOf(values, width, height, threshold) {
+  let at = (i, j) => i < 0 || j < 0 || i >= width || j >= height ? 0 : values[j * width + i],
+    inside = (i, j) => at(i, j) >= threshold,
+    next = new Map(),
+    points = new Map();
+
+  // The point where the edge between the grid positions `a` and `b` crosses
+  // the threshold, keyed by which edge it is.
+  let crossing = (a, b) => {
+    let key = a[0] === b[0] ? `v${a[0]},${Math.min(a[1], b[1])}` : `h${Math.min(a[0], b[0])},${a[1]}`;
+    if (!points.has(key)) {
+      let va = at(a[0], a[1]),
+        vb = at(b[0], b[1]),
+        t = Math.max(0, Math.min(1, (threshold - va) / (vb - va)));
+      points.set(key, {
+        x: a[0] + (b[0] - a[0]) * t + 0.5,
+        y: a[1] + (b[1] - a[1]) * t + 0.5
+      });
+    }
+    return key;
+  };
+
+  for (let j = -1; j < height; j++) {
+    for (let i = -1; i < width; i++) {
+      // Corners clockwise from the top left, and the edges after each.
+      let corners = [
+          [i, j],
+          [i + 1, j],
+          [i + 1, j + 1],
+          [i, j + 1]
+        ],
+        ins = corners.map(c => inside(c[0], c[1])),
+        cut = [];
+      if (ins.every(v => v === ins[0]))
+        continue;
+
+      let edges = [0, 1, 2, 3].filter(k => ins[k] !== ins[(k + 1) % 4]);
+      if (edges.length === 2) {
+        cut.push(edges);
+      } else {
+        // Where inked and blank corners alternate, the middle of the cell
+        // decides whether the inked ones join up or the blank ones do.
+        let middle = corners.reduce((sum, c) => sum + at(c[0], c[1]), 0) / 4 >= threshold;
+        cut = middle === ins[1] ? [
+          [3, 0],
+          [1, 2]
+        ] : [
+          [0, 1],
+          [2, 3]
+        ];
+      }
+
+      // Each piece runs with the inked side on its right as seen in y-down
+      // coordinates, which keeps the area clockwise. The corner it cuts off,
+      // or the corner furthest from a piece straight across, tells which side
+      // is which.
+      cut.forEach(pair => {
+        let ends = pair.map(k => crossing(corners[k], corners[(k + 1) % 4])),
+          a = points.get(ends[0]),
+          b = points.get(ends[1]),
+          sides = corners.map(c => (b.x - a.x) * (c[1] + 0.5 - a.y) - (b.y - a.y) * (c[0] + 0.5 - a.x)),
+          ref = (pair[0] + 1) % 4 === pair[1] ? pair[1] : (pair[1] + 1) % 4 === pair[0] ? pair[0] :
+          sides.reduce((best, side, k) => Math.abs(side) > Math.abs(sides[best]) ? k : best, 0);
+        if ((sides[ref] > 0) !== ins[ref])
+          ends.reverse();
+        next.set(ends[0], ends[1]);
+      });
+    }
+  }
+
+  let polygons = [];
+  next.forEach((to, from) => {
+    if (!next.has(from))
+      return;
+    let poly = [],
+      key = from;
+    while (next.has(key)) {
+      let after = next.get(key);
+      next.delete(key);
+      poly.push(points.get(key));
+      key = after;
+    }
+    if (poly.length > 2)
+      polygons.push(poly);
+  });
+  return polygons;
+}
+
+
+// Returns commands tracing the edges of the inked parts of `image`, an object
+// with the `width` and `height` of the image in pixels and its pixels row by
+// row in `data` as an array or typed array with 1 to 4 channels each. Each
+// pixel is a unit square with the first at 0,0. Options are those of
+// `inkOf()` and:
+// - `threshold`: how strongly inked a pixel must be to be inside (default
+//   0.5).
+// - `simplify`: how far the traced edges may stray from the marching squares
+//   to save points, in pixels (default 0.25).
+export function traceImage(image, options = {}) {
+  let threshold = options.threshold === undefined ? 0.5 : options.threshold,
+    tolerance = options.simplify === undefined ? 0.25 : options.simplify;
+  if (!(threshold > 0 && threshold <= 1))
+    throw new OptionError(`Threshold must be above 0 and at most 1, not ${threshold}`, 'threshold');
+
+  return polygonCommands(contoursOf(inkOf(image, options), image.width, image.height, threshold)
+    .map(poly => simplify(poly, tolerance)));
+}
+
+
+// Returns a spacing field for `PointGenerator.spacing` packing points `near`
+// apart where `image` is fully inked and `far` apart where it is blank, in
+// the same coordinates as `traceImage()`, so darker areas get more points.
+// Options are those of `inkOf()`.
+export function inkSpacing(image, near, far, options = {}) {
+  let values = inkOf(image, options),
+    width = image.width,
+    height = image.height,
+    at = (i, j) => values[Math.max(0, Math.min(height - 1, j)) * width + Math.max(0, Math.min(width - 1, i))];
+
+  return (x, y) => {
+    if (x < 0 || y < 0 || x > width || y > height)
+      return far;
+
+    // Blend the four nearest pixels.
+    let u = x - 0.5,
+      v = y - 0.5,
+      i = Math.floor(u),
+      j = Math.floor(v),
+      fu = u - i,
+      fv = v - j,
+      ink = (at(i, j) * (1 - fu) + at(i + 1, j) * fu) * (1 - fv) +
+      (at(i, j + 1) * (1 - fu) + at(i + 1, j + 1) * fu) * fv;
+    return far + (near - far) * ink;
+  };
+}
@@ -0,0 +1,157 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Segments
+ * Resolves a list of path commands into the lines and curves they draw, each
+ * with explicit start, end and control points.
+ */
+
+import {
+  parsePath,
+  toAbsolute
+} from './parser';
+
+import {
+  CommandError
+} from './errors';
+
+
+// Returns the reflection of the previous command's last control point about
+// the current point `cur` if that command was one of `codes`, otherwise `cur`
+// itself as the SVG specification requires for smooth curves.
+function reflect(prev, codes, cur) {
+  if (!prev.ctrl || codes.indexOf(prev.code) < 0)
+    return {
+      x: cur.x,
+      y: cur.y
+    };
+
+  return {
+    x: 2 * cur.x - prev.ctrl.x,
+    y: 2 * cur.y - prev.ctrl.y
+  };
+}
+
+
+function point(p) {
+  return {
+    x: p.x,
+    y: p.y
+  };
+}
+
+
+// Returns the segments drawn by `commands`, which may also be the path data
+// string from a path's `d` attribute, as one array for each subpath. Relative
+// commands are resolved against the current point and each closepath draws a
+// line back to the start of its subpath, after which anything drawn without a
+// moveto starts a new subpath there. Smooth curves take their first
+// control point from the reflection of the previous curve's last one.
+//
+// Every segment has a `type` of 'line', 'arc', 'cubic' or 'quadratic', the
+// `code` of the command it came from and `start` and `end` points. Curves
+// carry their control points in `cp1` and `cp2` and arcs their `rads`, `rot`,
+// `lrg` and `swp` parameters.
+export function segmentsFor(commands) {
+  if (typeof commands === 'string')
+    commands = parsePath(commands);
+  commands = toAbsolute(commands);
+
+  let segments = [],
+    subpaths = [segments],
+    cur = commands[0],
+    prev = {};
+  for (let cmd of commands) {
+    let seg = null,
+      ctrl = null;
+
+    switch (cmd.code) {
+
+      case 'M': // Start a new subpath, cur is updated later.
+        segments = [];
+        subpaths.push(segments);
+        break;
+
+      case 'L': // Line
+      case 'V': // Vertical Line
+      case 'H': // Horizontal Line
+      case 'Z': // Close Path
+        seg = {
+          type: 'line'
+        };
+        break;
+
+      case 'A': // Elliptical Arc
+        seg = {
+          type: 'arc',
+          rads: cmd.rads,
+          rot: cmd.rot,
+          lrg: cmd.lrg,
+          swp: cmd.swp
+        };
+        break;
+
+      case 'C': // Cubic Bezier Curve
+        seg = {
+          type: 'cubic',
+          cp1: cmd.cp1,
+          cp2: cmd.cp2
+        };
+        ctrl = cmd.cp2;
+        break;
+
+      case 'S': // Smooth Cubic Bezier Curve
+        seg = {
+          type: 'cubic',
+          cp1: reflect(prev, 'CS', cur),
+          cp2: cmd.cp2
+        };
+        ctrl = cmd.cp2;
+        break;
+
+      case 'Q': // Quadratic Bezier Curve
+        seg = {
+          type: 'quadratic',
+          cp1: cmd.cp1
+        };
+        ctrl = cmd.cp1;
+        break;
+
+      case 'T': // Smooth Quadratic Bezier Curve
+        ctrl = reflect(prev, 'QT', cur);
+        seg = {
+          type: 'quadratic',
+          cp1: ctrl
+        };
+        break;
+
+      default:
+        throw new CommandError(`Unsupported SVG command ${cmd.code}`, commands.indexOf(cmd), cmd);
+    }
+
+    if (seg) {
+      seg.code = cmd.code;
+      seg.start = point(cur);
+      seg.end = point(cmd);
+      segments.push(seg);
+    }
+
+    // A closed subpath ends at its closepath.
+    if (cmd.code === 'Z') {
+      segments = [];
+      subpaths.push(segments);
+    }
+
+    cur = cmd;
+    prev = {
+      code: cmd.code,
+      ctrl: ctrl
+    };
+  }
+
+  return subpaths.filter(segs => segs.length);
+}
@@ -0,0 +1,175 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Basic shapes
+ * Converts the SVG basic shape elements into equivalent path commands.
+ */
+
+import {
+  parsePath
+} from './parser';
+
+
+// Returns the numeric value of the attribute `name` or `def` if it is missing.
+function num(attrs, name, def = 0) {
+  let val = parseFloat(attrs[name]);
+  return isNaN(val) ? def : val;
+}
+
+
+// Parses the `points` attribute of a polygon or polyline into a list of
+// `{x, y}` points. A trailing odd coordinate is ignored.
+function parsePoints(str) {
+  let nums = (str || '').trim().split(/[\s,]+/).filter(n => n.length).map(parseFloat),
+    pts = [];
+  for (let i = 0; i + 1 < nums.length; i += 2)
+    pts.push({
+      x: nums[i],
+      y: nums[i + 1]
+    });
+  return pts;
+}
+
+
+function move(x, y) {
+  return {
+    code: 'M',
+    x: x,
+    y: y
+  };
+}
+
+
+function line(x, y) {
+  return {
+    code: 'L',
+    x: x,
+    y: y
+  };
+}
+
+
+function arc(rx, ry, x, y) {
+  return {
+    code: 'A',
+    rads: {
+      x: rx,
+      y: ry
+    },
+    rot: 0,
+    lrg: false,
+    swp: true,
+    x: x,
+    y: y
+  };
+}
+
+
+function close() {
+  return {
+    code: 'Z'
+  };
+}
+
+
+function rect(attrs) {
+  let x = num(attrs, 'x'),
+    y = num(attrs, 'y'),
+    w = num(attrs, 'width'),
+    h = num(attrs, 'height'),
+    rx = num(attrs, 'rx', NaN),
+    ry = num(attrs, 'ry', NaN);
+
+  if (w <= 0 || h <= 0)
+    return [];
+
+  // A missing corner radius takes the value of the other one.
+  rx = isNaN(rx) ? (isNaN(ry) ? 0 : ry) : rx;
+  ry = isNaN(ry) ? rx : ry;
+  rx = Math.min(Math.abs(rx), w / 2);
+  ry = Math.min(Math.abs(ry), h / 2);
+
+  if (rx === 0 || ry === 0)
+    return [
+      move(x, y),
+      line(x + w, y),
+      line(x + w, y + h),
+      line(x, y + h),
+      close()
+    ];
+
+  return [
+    move(x + rx, y),
+    line(x + w - rx, y),
+    arc(rx, ry, x + w, y + ry),
+    line(x + w, y + h - ry),
+    arc(rx, ry, x + w - rx, y + h),
+    line(x + rx, y + h),
+    arc(rx, ry, x, y + h - ry),
+    line(x, y + ry),
+    arc(rx, ry, x + rx, y),
+    close()
+  ];
+}
+
+
+function ellipse(cx, cy, rx, ry) {
+  if (rx <= 0 || ry <= 0)
+    return [];
+
+  return [
+    move(cx + rx, cy),
+    arc(rx, ry, cx - rx, cy),
+    arc(rx, ry, cx + rx, cy),
+    close()
+  ];
+}
+
+
+function poly(attrs, closed) {
+  let pts = parsePoints(attrs.points);
+  if (pts.length < 2)
+    return [];
+
+  let cmds = pts.map((p, idx) => idx === 0 ? move(p.x, p.y) : line(p.x, p.y));
+  return closed ? cmds.concat(close()) : cmds;
+}
+
+
+// Returns the path commands describing the element `name` with attributes
+// `attrs`, or null if it isn't a shape. Problems with path data are reported
+// as by `parsePath()`.
+export function shapeToCommands(name, attrs, diagnostics) {
+  switch (name) {
+    case 'path':
+      return parsePath(attrs.d || '', diagnostics);
+
+    case 'rect':
+      return rect(attrs);
+
+    case 'circle':
+      return ellipse(num(attrs, 'cx'), num(attrs, 'cy'), num(attrs, 'r'), num(attrs, 'r'));
+
+    case 'ellipse':
+      return ellipse(num(attrs, 'cx'), num(attrs, 'cy'), num(attrs, 'rx'), num(attrs, 'ry'));
+
+    case 'line':
+      return [
+        move(num(attrs, 'x1'), num(attrs, 'y1')),
+        line(num(attrs, 'x2'), num(attrs, 'y2'))
+      ];
+
+    case 'polyline':
+      return poly(attrs, false);
+
+    case 'polygon':
+      return poly(attrs, true);
+
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,100 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Spacing fields
+ * Ready made functions `(x, y) => length` for `PointGenerator.spacing`, giving
+ * the distance wanted between points around each position so they can be
+ * packed more tightly in some places than others.
+ */
+
+import {
+  pointsForSegment
+} from './paths';
+
+import {
+  segmentsFor
+} from './segments';
+
+import SpatialHash from './spatial-hash';
+
+
+// Returns `t` eased in and out between 0 and 1, clamped at either end.
+function smooth(t) {
+  t = Math.max(0, Math.min(1, t));
+  return t * t * (3 - 2 * t);
+}
+
+
+// Returns the distance from `p` to the line from `a` to `b`.
+function distanceToLine(p, a, b) {
+  let dx = b.x - a.x,
+    dy = b.y - a.y,
+    len2 = dx * dx + dy * dy,
+    t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return Math.sqrt(Math.pow(p.x - a.x - t * dx, 2) + Math.pow(p.y - a.y - t * dy, 2));
+}
+
+
+// Returns a field spacing points `length` apart everywhere.
+export function constant(length) {
+  return () => length;
+}
+
+
+// Returns a field spacing points `inner` apart at `center`, `{x, y}`, easing
+// to `outer` apart at `radius` from it and beyond.
+export function radial(center, inner, outer, radius) {
+  return (x, y) => {
+    let d = Math.sqrt(Math.pow(x - center.x, 2) + Math.pow(y - center.y, 2));
+    return inner + (outer - inner) * smooth(d / radius);
+  };
+}
+
+
+// Returns a field spacing points `near` apart on the outline drawn by the
+// commands or path data `commands`, easing to `far` apart at `reach` from it
+// and beyond. The outline is followed in straight pieces no longer than a
+// quarter of `near`, kept in a grid so only those within reach are measured.
+export function edgeFalloff(commands, near, far, reach) {
+  let grid = new SpatialHash(reach > 0 ? reach : near),
+    longest = 0;
+  segmentsFor(commands).forEach(segs => segs.forEach(seg => {
+    let pts = pointsForSegment(seg, 100, near / 4);
+    for (let i = 1; i < pts.length; i++) {
+      let a = pts[i - 1],
+        b = pts[i];
+      longest = Math.max(longest, Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2)));
+      grid.insert({
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+        a: a,
+        b: b
+      });
+    }
+  }));
+
+  return (x, y) => {
+    let p = {
+        x: x,
+        y: y
+      },
+      d = reach;
+    // A piece within reach has its middle within half its length more.
+    grid.some(p, reach + longest / 2, piece => {
+      d = Math.min(d, distanceToLine(p, piece.a, piece.b));
+      return false;
+    });
+    return near + (far - near) * smooth(d / reach);
+  };
+}
+
+
+// Returns a field using whichever of `fields` packs the points most tightly
+// at each position.
+export function densest(...fields) {
+  return (x, y) => Math.min.apply(null, fields.map(f => f(x, y)));
+}
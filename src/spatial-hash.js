@@ -0,0 +1,119 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Spatial hash
+ * A uniform grid of buckets for finding nearby points without comparing
+ * against every other point.
+ */
+
+
+class SpatialHash {
+
+  // Create a new empty grid with square cells `size` wide. Queries are fastest
+  // when `size` is close to the distances being searched for.
+  constructor(size) {
+    this.size = size;
+    this.cells = new Map();
+  }
+
+
+  // Returns the key for the cell at column `i` and row `j`.
+  key(i, j) {
+    return `${i},${j}`;
+  }
+
+
+  // Adds the point `p` to the cell containing it.
+  insert(p) {
+    let key = this.key(Math.floor(p.x / this.size), Math.floor(p.y / this.size)),
+      cell = this.cells.get(key);
+    if (!cell)
+      this.cells.set(key, cell = []);
+    cell.push(p);
+    return this;
+  }
+
+
+  // Takes the point `p` back out of the grid, if it is there.
+  remove(p) {
+    let key = this.key(Math.floor(p.x / this.size), Math.floor(p.y / this.size)),
+      cell = this.cells.get(key),
+      idx = cell ? cell.indexOf(p) : -1;
+    if (idx >= 0) {
+      cell.splice(idx, 1);
+      if (!cell.length)
+        this.cells.delete(key);
+    }
+    return this;
+  }
+
+
+  // Calls `fn` with every point in the cells overlapping the square of radius
+  // `radius` around `p`. Stops early and returns true as soon as `fn` does.
+  some(p, radius, fn) {
+    let i0 = Math.floor((p.x - radius) / this.size),
+      i1 = Math.floor((p.x + radius) / this.size),
+      j0 = Math.floor((p.y - radius) / this.size),
+      j1 = Math.floor((p.y + radius) / this.size);
+
+    for (let i = i0; i <= i1; i++)
+      for (let j = j0; j <= j1; j++) {
+        let cell = this.cells.get(this.key(i, j));
+        if (cell && cell.some(fn))
+          return true;
+      }
+
+    return false;
+  }
+
+
+  // Returns true if any point in the grid is closer than `radius` to `p`.
+  hasNear(p, radius) {
+    let r2 = radius * radius;
+    return this.some(p, radius, q => Math.pow(q.x - p.x, 2) + Math.pow(q.y - p.y, 2) < r2);
+  }
+
+
+  // Returns the `count` points in the grid nearest to `p`, nearest first, or
+  // as many as there are. The square searched doubles in size until enough
+  // lie within its half width, and once it would cover more cells than are
+  // filled they are all searched.
+  nearby(p, count) {
+    let d2 = q => Math.pow(q.x - p.x, 2) + Math.pow(q.y - p.y, 2),
+      closest = found => found
+      .map(q => ({
+        point: q,
+        d: d2(q)
+      }))
+      .sort((a, b) => a.d - b.d);
+
+    for (let radius = this.size; this.cells.size; radius *= 2) {
+      let span = 2 * Math.ceil(radius / this.size) + 1,
+        found = [];
+      if (span * span >= this.cells.size) {
+        this.cells.forEach(cell => cell.forEach(q => found.push(q)));
+        return closest(found).slice(0, count).map(c => c.point);
+      }
+      this.some(p, radius, q => {
+        found.push(q);
+        return false;
+      });
+      let within = closest(found).filter(c => c.d <= radius * radius);
+      if (within.length >= count)
+        return within.slice(0, count).map(c => c.point);
+    }
+    return [];
+  }
+
+
+  // Returns the point in the grid nearest to `p`, or null if it is empty.
+  nearest(p) {
+    return this.nearby(p, 1)[0] || null;
+  }
+}
+
+export default SpatialHash;
@@ -0,0 +1,115 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Validation
+ * Checks command lists and generator settings before any work is done with
+ * them, either throwing or reporting what is wrong.
+ */
+
+import {
+  CommandError,
+  OptionError
+} from './errors';
+
+
+// Numeric fields each command needs, as paths into the command object.
+const FIELDS = {
+  M: ['x', 'y'],
+  L: ['x', 'y'],
+  T: ['x', 'y'],
+  H: ['x'],
+  V: ['y'],
+  C: ['cp1.x', 'cp1.y', 'cp2.x', 'cp2.y', 'x', 'y'],
+  S: ['cp2.x', 'cp2.y', 'x', 'y'],
+  Q: ['cp1.x', 'cp1.y', 'x', 'y'],
+  A: ['rads.x', 'rads.y', 'rot', 'x', 'y'],
+  Z: []
+};
+
+
+function lookup(obj, path) {
+  return path.split('.').reduce((o, key) => o === undefined || o === null ? undefined : o[key], obj);
+}
+
+
+// Returns a description of what is wrong with the command `cmd`, or null if
+// nothing is.
+function problemWith(cmd) {
+  if (!cmd || typeof cmd.code !== 'string')
+    return 'Command has no code';
+
+  let fields = FIELDS[cmd.code.toUpperCase()];
+  if (!fields)
+    return `Unsupported SVG command ${cmd.code}`;
+
+  for (let field of fields) {
+    let val = lookup(cmd, field);
+    if (val === undefined || val === null)
+      return `Command ${cmd.code} is missing ${field}`;
+    if (typeof val !== 'number' || !isFinite(val))
+      return `Command ${cmd.code} has an invalid ${field} of ${val}`;
+  }
+
+  if (cmd.code.toUpperCase() === 'A' && (cmd.lrg === undefined || cmd.swp === undefined))
+    return `Command ${cmd.code} is missing its lrg or swp flag`;
+
+  return null;
+}
+
+
+// Returns the commands from `commands` which can be drawn. In `strict` mode
+// the first problem throws a CommandError with the index of the command,
+// otherwise bad commands are left out and each problem is added to
+// `diagnostics` as `{severity, index, code, message}`.
+export function validateCommands(commands, strict, diagnostics) {
+  if (!Array.isArray(commands))
+    throw new CommandError('Commands must be an array or path data string');
+
+  let report = (severity, message, index, cmd) => {
+    if (strict && severity === 'error')
+      throw new CommandError(`${message} (command ${index})`, index, cmd);
+    diagnostics.push({
+      severity: severity,
+      index: index,
+      code: cmd && cmd.code,
+      message: message
+    });
+  };
+
+  if (commands.length && commands[0] && typeof commands[0].code === 'string' &&
+    commands[0].code.toUpperCase() !== 'M')
+    report('warning', 'Path does not begin with a moveto command', 0, commands[0]);
+
+  return commands.filter((cmd, index) => {
+    let problem = problemWith(cmd);
+    if (problem)
+      report('error', problem, index, cmd);
+    return !problem;
+  });
+}
+
+
+// Throws an OptionError if the settings of the generator `pgen` can't be
+// worked with.
+export function validateOptions(pgen) {
+  if (typeof pgen.len !== 'number' || !(pgen.len > 0) || !isFinite(pgen.len))
+    throw new OptionError(`Length must be a positive number, not ${pgen.len}`, 'length');
+  if (typeof pgen.res !== 'number' || !(pgen.res > 0) || !isFinite(pgen.res))
+    throw new OptionError(`Resolution must be a positive number, not ${pgen.res}`, 'resolution');
+  if (typeof pgen.tol !== 'number' || !(pgen.tol >= 0) || !isFinite(pgen.tol))
+    throw new OptionError(`Tolerance must be zero or a positive number, not ${pgen.tol}`, 'tolerance');
+  if (pgen.spacing && typeof pgen.spacing !== 'function')
+    throw new OptionError('Spacing must be a function of x and y', 'spacing');
+}
+
+
+// Throws an OptionError for the setting `option` unless `count` is a whole
+// number of at least 1.
+export function validateCount(count, option) {
+  if (typeof count !== 'number' || !(count >= 1) || count % 1 !== 0)
+    throw new OptionError(`The ${option} must be a whole number above 0, not ${count}`, option);
+}
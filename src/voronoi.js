@@ -0,0 +1,252 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Neighbours and Voronoi cells
+ * Reads which points neighbour each other off the Delaunay triangulation and
+ * builds its dual, the Voronoi diagram, with each cell cut down to the part
+ * inside the outline. The centroids of the cells are where Lloyd relaxation
+ * moves the points to even out their spacing.
+ */
+
+import {
+  delaunay
+} from './mesh';
+
+import {
+  windingNumber,
+  contains
+} from './fill';
+
+
+// Returns the signed area of the polygon `pts`, positive when clockwise in
+// y-down coordinates as for the boundary normals.
+function area(pts) {
+  let sum = 0;
+  pts.forEach((p, idx) => {
+    let q = pts[(idx + 1) % pts.length];
+    sum += p.x * q.y - q.x * p.y;
+  });
+  return sum / 2;
+}
+
+
+// Returns the bounding box of `pts` as `{x0, y0, x1, y1}`.
+function extent(pts) {
+  let box = {
+    x0: Infinity,
+    y0: Infinity,
+    x1: -Infinity,
+    y1: -Infinity
+  };
+  pts.forEach(p => {
+    box.x0 = Math.min(box.x0, p.x);
+    box.y0 = Math.min(box.y0, p.y);
+    box.x1 = Math.max(box.x1, p.x);
+    box.y1 = Math.max(box.y1, p.y);
+  });
+  return box;
+}
+
+
+function overlaps(a, b) {
+  return a.x0 <= b.x1 && b.x0 <= a.x1 && a.y0 <= b.y1 && b.y0 <= a.y1;
+}
+
+
+// Returns the part of the polygon `pts` on the side of the line where
+// `n . p <= c`, by Sutherland-Hodgman.
+function clip(pts, n, c) {
+  let out = [];
+  pts.forEach((p, idx) => {
+    let q = pts[(idx + 1) % pts.length],
+      dp = n.x * p.x + n.y * p.y - c,
+      dq = n.x * q.x + n.y * q.y - c;
+    if (dp <= 0)
+      out.push(p);
+    if ((dp < 0 && dq > 0) || (dp > 0 && dq < 0)) {
+      let t = dp / (dp - dq);
+      out.push({
+        x: p.x + (q.x - p.x) * t,
+        y: p.y + (q.y - p.y) * t
+      });
+    }
+  });
+  return out;
+}
+
+
+// Returns the neighbours of each of `count` points joined by the edges of the
+// flat list of `triangles`, as a sorted list of point indices for each.
+export function neighbourGraph(count, triangles) {
+  let sets = [];
+  for (let i = 0; i < count; i++)
+    sets.push(new Set());
+  for (let i = 0; i < triangles.length; i += 3)
+    [0, 1, 2].forEach(k => {
+      let a = triangles[i + k],
+        b = triangles[i + (k + 1) % 3];
+      sets[a].add(b);
+      sets[b].add(a);
+    });
+  return sets.map(set => Array.from(set).sort((a, b) => a - b));
+}
+
+
+// Returns the neighbours of each of `points` as for `neighbourGraph()` when
+// there are too few of them or they lie along one line for any triangles, in
+// which case each point neighbours those either side of it along the line.
+function lineGraph(points) {
+  let graph = points.map(() => []);
+  if (points.length < 2)
+    return graph;
+
+  let first = points[0],
+    d2 = p => Math.pow(p.x - first.x, 2) + Math.pow(p.y - first.y, 2),
+    far = points.reduce((f, p) => d2(p) > d2(f) ? p : f, first),
+    along = i => (points[i].x - first.x) * (far.x - first.x) + (points[i].y - first.y) * (far.y - first.y),
+    order = points.map((p, i) => i).sort((i, j) => along(i) - along(j));
+  for (let k = 1; k < order.length; k++) {
+    graph[order[k - 1]].push(order[k]);
+    graph[order[k]].push(order[k - 1]);
+  }
+  return graph.map(list => list.sort((a, b) => a - b));
+}
+
+
+// Returns the polygons of each shape of `outline` turned so the areas filled
+// under `rule` go clockwise and the holes the other way, letting the pieces
+// of them inside a cell be added up by their signed areas.
+function orientOutline(outline, rule) {
+  return outline.map(polys => polys.filter(poly => poly.length > 2).map(poly => {
+    let a = area(poly),
+      longest = 0,
+      len = idx => {
+        let p = poly[idx],
+          q = poly[(idx + 1) % poly.length];
+        return Math.pow(q.x - p.x, 2) + Math.pow(q.y - p.y, 2);
+      };
+    poly.forEach((p, idx) => {
+      if (len(idx) > len(longest))
+        longest = idx;
+    });
+
+    // Look just inside the polygon beside the middle of its longest edge.
+    let p = poly[longest],
+      q = poly[(longest + 1) % poly.length],
+      side = (a > 0 ? 1 : -1) * 1e-6,
+      probe = {
+        x: (p.x + q.x) / 2 - (q.y - p.y) * side,
+        y: (p.y + q.y) / 2 + (q.x - p.x) * side
+      },
+      filled = contains(polys, probe, rule);
+    return (a > 0) === filled ? poly : poly.slice().reverse();
+  }));
+}
+
+
+// Returns the Voronoi cell of each of `points` cut down to the `outline`, a
+// list of shapes each made of closed polygons, filled under the fill rule
+// `rule`. Each cell is a list of polygons going clockwise in y-down
+// coordinates around the parts inside and the other way around any holes
+// within it, and is empty if none of it is inside. Without an outline the
+// cells are cut down to a box around the points instead. Subpaths of the
+// outline are taken not to overlap each other. Points with no triangles
+// between them, fewer than three or all in a line, get cells split halfway
+// between each point and the next along the line.
+export function voronoiCells(points, outline = [], rule = 'nonzero') {
+  let triangles = delaunay(points),
+    graph = triangles.length ? neighbourGraph(points.length, triangles) : lineGraph(points),
+    shapes = orientOutline(outline, rule),
+    polys = [].concat.apply([], shapes),
+    all = extent(points.concat([].concat.apply([], polys))),
+    pad = Math.max(all.x1 - all.x0, all.y1 - all.y0, 1),
+    box = [{
+      x: all.x0 - pad,
+      y: all.y0 - pad
+    }, {
+      x: all.x1 + pad,
+      y: all.y0 - pad
+    }, {
+      x: all.x1 + pad,
+      y: all.y1 + pad
+    }, {
+      x: all.x0 - pad,
+      y: all.y1 + pad
+    }],
+    edges = polys.map(poly => poly.map((p, idx) => extent([p, poly[(idx + 1) % poly.length]])));
+
+  return points.map((p, i) => {
+    // The cell is the part of the plane closer to the point than any of its
+    // neighbours.
+    let planes = graph[i]
+      .map(j => points[j])
+      .filter(q => q.x !== p.x || q.y !== p.y)
+      .map(q => ({
+        n: {
+          x: q.x - p.x,
+          y: q.y - p.y
+        },
+        c: (q.x * q.x + q.y * q.y - p.x * p.x - p.y * p.y) / 2
+      })),
+      cut = pts => planes.reduce((pts, plane) => pts.length ? clip(pts, plane.n, plane.c) : pts, pts),
+      cell = cut(box);
+    if (area(cell) < 0)
+      cell.reverse();
+    if (!shapes.length)
+      return cell.length > 2 ? [cell] : [];
+    if (cell.length < 3)
+      return [];
+
+    let bounds = extent(cell),
+      inner = {
+        x: cell.reduce((sum, v) => sum + v.x, 0) / cell.length,
+        y: cell.reduce((sum, v) => sum + v.y, 0) / cell.length
+      },
+      parts = [];
+    polys.forEach((poly, k) => {
+      // Polygons which don't reach into the cell either cover it all or
+      // none of it.
+      if (!edges[k].some(e => overlaps(e, bounds))) {
+        if (windingNumber(inner, poly))
+          parts.push(area(poly) > 0 ? cell : cell.slice().reverse());
+        return;
+      }
+      let part = cut(poly);
+      if (part.length > 2 && Math.abs(area(part)) > 1e-12 * Math.abs(area(cell)))
+        parts.push(part);
+    });
+    return parts;
+  });
+}
+
+
+// Returns the centroid of the `polygons` of a cell, weighted by `density(x,
+// y)` if given, or null if they have no area.
+export function cellCentroid(polygons, density) {
+  let total = 0,
+    x = 0,
+    y = 0;
+  polygons.forEach(poly => {
+    for (let i = 1; i + 1 < poly.length; i++) {
+      let a = poly[0],
+        b = poly[i],
+        c = poly[i + 1],
+        cx = (a.x + b.x + c.x) / 3,
+        cy = (a.y + b.y + c.y) / 3,
+        w = ((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2 * (density ? density(cx, cy) : 1);
+      total += w;
+      x += w * cx;
+      y += w * cy;
+    }
+  });
+  if (Math.abs(total) < 1e-12)
+    return null;
+  return {
+    x: x / total,
+    y: y / total
+  };
+}
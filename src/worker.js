@@ -0,0 +1,71 @@
+/*
+ * SVG Interpolator
+ * Takes an SVG as input and generates an array of evently spaced points marking
+ * the boundary and fill of the paths.
+ *
+ * Copyright (C) 2016 Tutive Ltd.
+ *
+ * Worker
+ * Runs the pipeline off the main thread, either as a Web Worker or a node
+ * worker thread, for `generateAsync()`.
+ */
+
+import {
+  runPipeline
+} from './pipeline';
+
+
+// Runs the pipeline for the request `msg` and sends the progress and results
+// back with `post(message, transfer)`. The points are sent as typed arrays,
+// transferring their buffers rather than copying them. Errors are sent with
+// their name and fields for `generateAsync()` to throw them again.
+export function handleMessage(msg, post) {
+  let opts = msg.options || {};
+
+  try {
+    let pgen = runPipeline(msg.source, opts, (phase, fraction) => post({
+      type: 'progress',
+      phase: phase,
+      fraction: fraction
+    }));
+
+    let buffers = pgen.toBuffers({
+        attributes: opts.attributes || ['position', 'role'],
+        edges: opts.edges
+      }),
+      transfer = [buffers.vertices.buffer];
+    if (buffers.indices)
+      transfer.push(buffers.indices.buffer);
+
+    post({
+      type: 'result',
+      vertices: buffers.vertices,
+      stride: buffers.stride,
+      layout: buffers.layout,
+      indices: buffers.indices || null,
+      diagnostics: pgen.diagnostics
+    }, transfer);
+  } catch (e) {
+    post({
+      type: 'error',
+      name: e.name,
+      message: e.message,
+      position: e.position,
+      index: e.index,
+      command: e.command,
+      option: e.option,
+      diagnostics: e.diagnostics || []
+    });
+  }
+}
+
+
+// Start listening when loaded as a Web Worker or a node worker thread.
+if (typeof self !== 'undefined' && typeof importScripts === 'function') {
+  self.onmessage = e => handleMessage(e.data, (m, transfer) => self.postMessage(m, transfer));
+} else if (typeof module !== 'undefined' && module.require) {
+  let threads = module.require('worker_threads');
+  if (!threads.isMainThread)
+    threads.parentPort.on('message', msg =>
+      handleMessage(msg, (m, transfer) => threads.parentPort.postMessage(m, transfer)));
+}
@@ -13,6 +13,7 @@ var webpack		          = require('webpack'),
 module.exports = {
   entry: {
     'svg-interp': './index',
+    'svg-interp-worker': './src/worker',
     demo: './demo/demo'
   },
   output: {